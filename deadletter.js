@@ -0,0 +1,144 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var fs = require("fs");
+
+var utils = require("./utils");
+
+/**
+ * A dead letter sink receives events that [SplunkLogger]{@link SplunkLogger} has given up on,
+ * set as <code>config.deadLetter</code>. Any object with a <code>write</code> function can be used as a sink.
+ *
+ * @interface DeadLetterSink
+ */
+
+/**
+ * Receives events that were given up on.
+ *
+ * @function
+ * @name DeadLetterSink#write
+ * @param {object[]} contexts - The <code>context</code> of each event, as passed to <code>send()</code>, with the
+ * <code>message</code>, <code>severity</code>, and <code>metadata</code> properties. Events replayed from
+ * <code>config.queueDir</code> only have their serialized form as the <code>message</code>.
+ * @param {object} failure - Why the events were given up on: the <code>reason</code> (<code>queueFull</code>,
+ * <code>circuitOpen</code>, <code>closed</code> or <code>failed</code>), the <code>error</code>, and how many
+ * <code>attempts</code> were made to send them.
+ */
+
+/**
+ * Constructs a FileDeadLetterSink, which appends events that were given up on to a file,
+ * as newline delimited JSON. Each line has the <code>context</code> of an event, the <code>reason</code>,
+ * the <code>error</code> message and code, the number of <code>attempts</code>, and when the event
+ * <code>failedAt</code>, so events can be read back and sent again.
+ *
+ * @example
+ * var splunkLogging = require("splunk-logging");
+ *
+ * var logger = new splunkLogging.Logger({
+ *     token: "your-token-here",
+ *     deadLetter: new splunkLogging.FileDeadLetterSink({path: "/var/log/my-app/splunk-dead-letters.ndjson"})
+ * });
+ *
+ * @param {object} options - Settings for this sink.
+ * @param {string} options.path - The file to append to, created if it doesn't exist.
+ * @implements {DeadLetterSink}
+ * @constructor
+ * @throws Will throw an error if the <code>options</code> parameter is malformed.
+ */
+var FileDeadLetterSink = function(options) {
+    options = options || {};
+    if (!options.path || typeof options.path !== "string") {
+        throw new Error("Dead letter path must be a string.");
+    }
+    this.path = options.path;
+
+    this.write = utils.bind(this, this.write);
+};
+
+/**
+ * Synchronously appends a line to the file for each event.
+ *
+ * @param {object[]} contexts - The <code>context</code> of each event.
+ * @param {object} failure - Why the events were given up on.
+ */
+FileDeadLetterSink.prototype.write = function(contexts, failure) {
+    var error = null;
+    if (failure.error) {
+        error = {
+            message: failure.error.message,
+            code: failure.error.code === undefined ? null : failure.error.code
+        };
+    }
+    var failedAt = new Date().toISOString();
+
+    var lines = contexts.map(function(context) {
+        return JSON.stringify({
+            context: context,
+            reason: failure.reason,
+            error: error,
+            attempts: failure.attempts,
+            failedAt: failedAt
+        }) + "\n";
+    });
+    fs.appendFileSync(this.path, lines.join(""), "utf8");
+};
+
+/**
+ * Constructs a CallbackDeadLetterSink, which passes events that were given up on to a function.
+ * Setting <code>config.deadLetter</code> to a function does the same.
+ *
+ * @example
+ * var splunkLogging = require("splunk-logging");
+ *
+ * var logger = new splunkLogging.Logger({
+ *     token: "your-token-here",
+ *     deadLetter: new splunkLogging.CallbackDeadLetterSink({
+ *         callback: function(contexts, failure) {
+ *             console.log("Gave up on", contexts.length, "events:", failure.reason);
+ *         }
+ *     })
+ * });
+ *
+ * @param {object} options - Settings for this sink.
+ * @param {function} options.callback - Called with each batch of events that was given up on: <code>function(contexts, failure)</code>.
+ * @implements {DeadLetterSink}
+ * @constructor
+ * @throws Will throw an error if the <code>options</code> parameter is malformed.
+ */
+var CallbackDeadLetterSink = function(options) {
+    options = options || {};
+    if (typeof options.callback !== "function") {
+        throw new Error("Dead letter callback must be a function.");
+    }
+    this.callback = options.callback;
+
+    this.write = utils.bind(this, this.write);
+};
+
+/**
+ * Calls <code>this.callback</code> with the events.
+ *
+ * @param {object[]} contexts - The <code>context</code> of each event.
+ * @param {object} failure - Why the events were given up on.
+ */
+CallbackDeadLetterSink.prototype.write = function(contexts, failure) {
+    this.callback(contexts, failure);
+};
+
+module.exports = {
+    FileDeadLetterSink: FileDeadLetterSink,
+    CallbackDeadLetterSink: CallbackDeadLetterSink
+};
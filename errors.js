@@ -0,0 +1,103 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var util = require("util");
+
+/**
+ * Returns <code>value</code>, or <code>null</code> if it's <code>undefined</code>.
+ *
+ * @private
+ */
+function _orNull(value) {
+    return typeof value === "undefined" ? null : value;
+}
+
+/**
+ * Constructs a SplunkError, for events that Splunk Enterprise or Splunk Cloud rejected,
+ * or that couldn't be sent at all.
+ *
+ * @example
+ * var SplunkError = require("splunk-logging").SplunkError;
+ *
+ * logger.sendAsync({message: "something"}).catch(function(err) {
+ *     if (err instanceof SplunkError && err.code === 4) {
+ *         console.log("Invalid token");
+ *     }
+ * });
+ *
+ * @property {number|null} code - The HTTP Event Collector error code, such as <code>4</code> for "Invalid token".
+ * @property {number|null} statusCode - The HTTP status code of the response, if there was one.
+ * @property {object|null} response - The response, if there was one.
+ * @property {anything} body - The body of the response, if there was one.
+ * @property {Error|null} cause - The underlying error, when the events couldn't be sent, such as a connection error.
+ *
+ * @param {string} message - The error message.
+ * @param {object} [details] - Any of the <code>code</code>, <code>statusCode</code>, <code>response</code>,
+ * <code>body</code>, and <code>cause</code> properties.
+ * @constructor
+ * @extends Error
+ */
+var SplunkError = function(message, details) {
+    Error.call(this);
+    /* istanbul ignore else */
+    if (Error.captureStackTrace) {
+        Error.captureStackTrace(this, SplunkError);
+    }
+    details = details || {};
+
+    this.name = "SplunkError";
+    this.message = message;
+    this.code = _orNull(details.code);
+    this.statusCode = _orNull(details.statusCode);
+    this.response = _orNull(details.response);
+    this.body = _orNull(details.body);
+    this.cause = _orNull(details.cause);
+};
+util.inherits(SplunkError, Error);
+
+/**
+ * Makes a <code>SplunkError</code> from the arguments of a <code>function(err, response, body)</code> callback.
+ *
+ * @param {Error} [err] - An error sending events.
+ * @param {object} [response] - The response to sending events.
+ * @param {object} [body] - The body of <code>response</code>.
+ * @returns {SplunkError|null} The error, or <code>null</code> if the events were sent successfully.
+ * @static
+ */
+SplunkError.fromResponse = function(err, response, body) {
+    var statusCode = response && response.statusCode ? response.statusCode : null;
+    if (err instanceof SplunkError) {
+        return err;
+    }
+    else if (err) {
+        return new SplunkError(err.message, {statusCode: statusCode, response: response, body: body, cause: err});
+    }
+
+    var failedCode = body && body.code !== undefined && body.code !== null && body.code.toString() !== "0";
+    var failedStatus = statusCode && (statusCode < 200 || statusCode >= 300);
+    if (!failedCode && !failedStatus) {
+        return null;
+    }
+    var message = (body && body.text) || "Server responded with status " + statusCode;
+    return new SplunkError(message, {
+        code: failedCode ? body.code : null,
+        statusCode: statusCode,
+        response: response,
+        body: body
+    });
+};
+
+module.exports = SplunkError;
@@ -0,0 +1,253 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var fs = require("fs");
+var path = require("path");
+
+var utils = require("./utils");
+
+// Name of the file holding events that haven't been flushed yet
+var pendingFile = "pending.log";
+
+// Flushed batches are named batch-<id>.log
+var batchPattern = /^batch-(\d+)\.log$/;
+
+/**
+ * Reads the events written to a queue file, one JSON encoded event per line.
+ * A partially written last line, left behind by a crash, is skipped.
+ *
+ * @param {string} file - Path of the file.
+ * @returns {string[]}
+ * @private
+ */
+function _readEvents(file) {
+    var ret = [];
+    fs.readFileSync(file, "utf8").split("\n").forEach(function(line) {
+        if (line.length > 0) {
+            var event = utils.parseJSON(line);
+            if (event !== line && typeof event === "string") {
+                ret.push(event);
+            }
+        }
+    });
+    return ret;
+}
+
+/**
+ * Constructs a FileQueue, a write-ahead queue of serialized events on disk,
+ * used by [SplunkLogger]{@link SplunkLogger} when <code>config.queueDir</code> is set.
+ *
+ * Events are appended to a pending file as they're queued. When they're flushed,
+ * the pending file is renamed to a batch file, which is removed once the batch is sent.
+ * Anything left on disk after a crash can be read back with <code>pending()</code> and <code>batches()</code>.
+ * Each directory should only be used by one queue at a time.
+ *
+ * @example
+ * var FileQueue = require("splunk-logging").FileQueue;
+ *
+ * var queue = new FileQueue({dir: "/var/spool/my-app/splunk"});
+ * queue.append("{\"event\":\"something\"}");
+ * var batchId = queue.commit();
+ * // ... send the batch, then
+ * queue.remove(batchId);
+ *
+ * @property {number} size - Bytes currently used on disk.
+ *
+ * @param {object} options - Settings for this queue.
+ * @param {string} options.dir - Directory to keep the queue in, created if it doesn't exist.
+ * @param {number} [options.maxSize=0] - Maximum bytes to use on disk. This setting is ignored when non-positive.
+ * @constructor
+ * @throws Will throw an error if the <code>options</code> parameter is malformed, or <code>dir</code> can't be created.
+ */
+var FileQueue = function(options) {
+    options = options || {};
+    if (!options.dir || typeof options.dir !== "string") {
+        throw new Error("Queue directory must be a string.");
+    }
+    this.dir = options.dir;
+    this.maxSize = utils.validateNonNegativeInt(options.maxSize || 0, "Max queue size");
+
+    try {
+        fs.mkdirSync(this.dir);
+    }
+    catch (err) {
+        if (err.code !== "EEXIST") {
+            throw err;
+        }
+    }
+
+    this.append = utils.bind(this, this.append);
+    this.pending = utils.bind(this, this.pending);
+    this.commit = utils.bind(this, this.commit);
+    this.remove = utils.bind(this, this.remove);
+    this.batches = utils.bind(this, this.batches);
+    this._batchIds = utils.bind(this, this._batchIds);
+    this._file = utils.bind(this, this._file);
+
+    // Pick up where an earlier queue in the same directory left off
+    var that = this;
+    this.size = 0;
+    this._nextBatchId = 0;
+    this._batchIds().forEach(function(id) {
+        that.size += fs.statSync(that._file(id)).size;
+        that._nextBatchId = id + 1;
+    });
+    if (fs.existsSync(this._file())) {
+        this.size += fs.statSync(this._file()).size;
+    }
+};
+
+/**
+ * Gets the path of the pending file, or of a batch file.
+ *
+ * @param {number} [batchId] - The batch, or the pending file if not set.
+ * @returns {string}
+ * @private
+ */
+FileQueue.prototype._file = function(batchId) {
+    if (typeof batchId === "number") {
+        return path.join(this.dir, "batch-" + batchId + ".log");
+    }
+    return path.join(this.dir, pendingFile);
+};
+
+/**
+ * Lists the batches on disk, oldest first.
+ *
+ * @returns {number[]}
+ * @private
+ */
+FileQueue.prototype._batchIds = function() {
+    var ret = [];
+    fs.readdirSync(this.dir).forEach(function(name) {
+        var match = batchPattern.exec(name);
+        if (match) {
+            ret.push(parseInt(match[1], 10));
+        }
+    });
+    return ret.sort(function(a, b) {
+        return a - b;
+    });
+};
+
+/**
+ * Synchronously writes a serialized event to the pending file.
+ *
+ * @param {string} event - A serialized event.
+ * @returns {boolean} <code>false</code> if the event wasn't written, because it would exceed <code>maxSize</code>.
+ */
+FileQueue.prototype.append = function(event) {
+    var line = JSON.stringify(event) + "\n";
+    var length = Buffer.byteLength(line, "utf8");
+    if (this.maxSize > 0 && this.size + length > this.maxSize) {
+        return false;
+    }
+    fs.appendFileSync(this._file(), line, "utf8");
+    this.size += length;
+    return true;
+};
+
+/**
+ * Reads the events in the pending file, which haven't been flushed.
+ *
+ * @returns {string[]}
+ */
+FileQueue.prototype.pending = function() {
+    if (!fs.existsSync(this._file())) {
+        return [];
+    }
+    return _readEvents(this._file());
+};
+
+/**
+ * Turns every pending event into a batch, to be removed once it has been sent.
+ * With <code>events</code>, only those of them that are pending go in the batch, and the rest stay pending.
+ *
+ * @param {string[]} [events] - Serialized events to commit, rather than every pending event.
+ * @returns {number|null} The batch ID, or <code>null</code> if there are no pending events.
+ */
+FileQueue.prototype.commit = function(events) {
+    if (!fs.existsSync(this._file())) {
+        return null;
+    }
+    if (!events) {
+        var batchId = this._nextBatchId++;
+        fs.renameSync(this._file(), this._file(batchId));
+        return batchId;
+    }
+
+    var rest = this.pending();
+    var committed = [];
+    events.forEach(function(event) {
+        var index = rest.indexOf(event);
+        if (index !== -1) {
+            committed.push(event);
+            rest.splice(index, 1);
+        }
+    });
+    if (committed.length === 0) {
+        return null;
+    }
+
+    var toLines = function(list) {
+        return list.map(function(event) {
+            return JSON.stringify(event) + "\n";
+        }).join("");
+    };
+    var id = this._nextBatchId++;
+    this.size -= fs.statSync(this._file()).size;
+    fs.writeFileSync(this._file(id), toLines(committed), "utf8");
+    this.size += fs.statSync(this._file(id)).size;
+    if (rest.length > 0) {
+        fs.writeFileSync(this._file(), toLines(rest), "utf8");
+        this.size += fs.statSync(this._file()).size;
+    }
+    else {
+        fs.unlinkSync(this._file());
+    }
+    return id;
+};
+
+/**
+ * Removes a batch from disk, after it has been sent.
+ *
+ * @param {number|null} batchId - A batch ID returned by <code>commit()</code>.
+ */
+FileQueue.prototype.remove = function(batchId) {
+    if (typeof batchId !== "number" || !fs.existsSync(this._file(batchId))) {
+        return;
+    }
+    var size = fs.statSync(this._file(batchId)).size;
+    fs.unlinkSync(this._file(batchId));
+    this.size = Math.max(0, this.size - size);
+};
+
+/**
+ * Reads every batch on disk, oldest first.
+ *
+ * @returns {object[]} Batches as <code>{id: batchId, events: [event1, event2, ...]}</code> objects.
+ */
+FileQueue.prototype.batches = function() {
+    var that = this;
+    return this._batchIds().map(function(id) {
+        return {
+            id: id,
+            events: _readEvents(that._file(id))
+        };
+    });
+};
+
+module.exports = FileQueue;
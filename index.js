@@ -15,9 +15,19 @@
  */
 
 var SplunkLogger = require("./splunklogger");
+var FileQueue = require("./filequeue");
+var SplunkError = require("./errors");
+var deadLetter = require("./deadletter");
+var transport = require("./transport");
 var utils = require("./utils");
 
 module.exports = {
     Logger: SplunkLogger,
+    HttpTransport: transport.HttpTransport,
+    MemoryTransport: transport.MemoryTransport,
+    FileQueue: FileQueue,
+    SplunkError: SplunkError,
+    FileDeadLetterSink: deadLetter.FileDeadLetterSink,
+    CallbackDeadLetterSink: deadLetter.CallbackDeadLetterSink,
     utils: utils
 };
\ No newline at end of file
@@ -14,9 +14,15 @@
  * under the License.
  */
 
-var request = require("request");
+var EventEmitter = require("events").EventEmitter;
+var querystring = require("querystring");
 var url = require("url");
+var util = require("util");
 
+var FileQueue = require("./filequeue");
+var SplunkError = require("./errors");
+var CallbackDeadLetterSink = require("./deadletter").CallbackDeadLetterSink;
+var HttpTransport = require("./transport").HttpTransport;
 var utils = require("./utils");
 
 /**
@@ -32,6 +38,18 @@ function _err(err, context) {
     console.log("ERROR:", err, " CONTEXT", context);
 }
 
+/**
+ * Keeps a timer from holding the process open, where supported.
+ *
+ * @param {object} timer - A timer returned by <code>setTimeout()</code> or <code>setInterval()</code>.
+ * @private
+ */
+function _unref(timer) {
+    if (timer && typeof timer.unref === "function") {
+        timer.unref();
+    }
+}
+
 /**
  * The default format for Splunk Enterprise or Splunk Cloud events.
  *
@@ -65,60 +83,315 @@ function _defaultEventFormatter(message, severity) {
  *
  * var logger = new SplunkLogger(config);
  *
+ * A <code>SplunkLogger</code> is an <code>EventEmitter</code>, emitting these events with a single <code>info</code> object:
+ * <ul>
+ * <li><code>enqueue</code> - An event was queued: <code>context</code>, <code>size</code> in bytes,
+ * <code>queuedCount</code> and <code>queuedBytes</code>.</li>
+ * <li><code>flush</code> - A batch is about to be sent: <code>count</code> of events and <code>size</code> in bytes.</li>
+ * <li><code>sent</code> - A batch was accepted: <code>count</code>, <code>size</code>, <code>attempts</code>,
+ * <code>latency</code> in milliseconds including retries, the <code>endpoint</code>, the <code>response</code> and its <code>body</code>.</li>
+ * <li><code>retry</code> - A batch is about to be sent again: <code>error</code>, <code>count</code>, <code>size</code>,
+ * <code>attempt</code>, <code>delay</code> in milliseconds, and the <code>endpoint</code>.</li>
+ * <li><code>drop</code> - Events were given up on: <code>reason</code> (<code>queueFull</code>, <code>circuitOpen</code>,
+ * <code>closed</code> or <code>failed</code>), <code>error</code>, <code>context</code>, and <code>count</code>.</li>
+ * <li><code>close</code> - <code>close()</code> has finished: <code>undelivered</code> batches.</li>
+ * </ul>
+ * Errors are also emitted as <code>error</code> events, <code>function(err, context)</code>, but only when there's
+ * a listener for them. The <code>error</code> callback is called either way.
+ *
  * @property {object} config - Configuration settings for this <code>SplunkLogger</code> instance.
- * @param {object} requestOptions - Options to pass to <code>{@link https://github.com/request/request#requestpost|request.post()}</code>.
- * See the {@link http://github.com/request/request|request documentation} for all available options.
+ * @param {object} requestOptions - Options to pass to the transport, see [HttpTransport.send()]{@link HttpTransport#send} for
+ * the options supported by the default transport, such as <code>headers</code>, <code>strictSSL</code>, <code>timeout</code>,
+ * and TLS settings like <code>ca</code>.
  * @property {object[]} serializedContextQueue - Queue of serialized <code>context</code> objects to be sent to Splunk Enterprise or Splunk Cloud.
  * @property {function} eventFormatter - Formats events, returning an event as a string, <code>function(message, severity)</code>.
  * Can be overwritten, the default event formatter will display event and severity as properties in a JSON object.
  * @property {function} error - A callback function for errors: <code>function(err, context)</code>.
  * Defaults to <code>console.log</code> both values;
+ * @property {function} onRetry - A callback function called before each retry: <code>function(err, context, retry)</code>,
+ * where <code>retry</code> has the <code>attempt</code> number, the <code>delay</code> in milliseconds, and the <code>endpoint</code>.
+ * Does nothing by default.
+ * @property {function} onSpill - A callback function for events that don't fit in the queue, when <code>config.queueOverflow</code>
+ * is <code>spill</code>: <code>function(context)</code>. Does nothing by default.
+ * @property {number} droppedEvents - How many events have been dropped because the queue was full.
+ * @property {function} onCircuitStateChange - A callback function for circuit breaker state changes: <code>function(state, previousState)</code>,
+ * where each state is <code>closed</code>, <code>open</code>, or <code>half-open</code>. Does nothing by default.
  *
  * @param {object} config - Configuration settings for a new [SplunkLogger]{@link SplunkLogger}.
  * @param {string} config.token - HTTP Event Collector token, required.
  * @param {string} [config.name=splunk-javascript-logging/0.9.1] - Name for this logger.
  * @param {string} [config.host=localhost] - Hostname or IP address of Splunk Enterprise or Splunk Cloud server.
- * @param {string} [config.maxRetries=0] - How many times to retry when HTTP POST to Splunk Enterprise or Splunk Cloud fails.
+ * @param {string} [config.maxRetries=0] - How many times to retry when HTTP POST to Splunk Enterprise or Splunk Cloud fails,
+ * or the server is busy. When the server responds with a <code>Retry-After</code> header, it's honored instead of the usual backoff.
+ * @param {number} [config.retryBaseDelay=10] - Base delay between retries, in milliseconds.
+ * @param {number} [config.retryMaxDelay=120000] - Maximum delay between retries, in milliseconds.
+ * @param {number} [config.retryMultiplier=2] - How much the delay between retries grows with each attempt.
+ * @param {string} [config.retryJitter] - How to randomize the delay between retries, <code>full</code>, <code>equal</code>,
+ * or <code>decorrelated</code>, see [utils.backoffDelay()]{@link utils.backoffDelay}. By default, the delay is
+ * between 1 and 2 times the exponential backoff.
+ * @param {number} [config.retryBudget=0] - How long to keep retrying a batch of events, in milliseconds, including
+ * trying other endpoints, before the events are reported as failed. This setting is ignored when non-positive.
+ * @param {number[]} [config.retryableCodes=[9]] - HTTP Event Collector error codes to retry, such as <code>9</code> for "Server is busy".
+ * @param {number[]} [config.retryableStatuses=[429, 503]] - HTTP status codes to retry, such as <code>503</code> for "Service Unavailable".
  * @param {string} [config.path=/services/collector/event/1.0] - URL path to send data to on the Splunk Enterprise or Splunk Cloud server.
+ * Defaults to <code>/services/collector/raw</code> when <code>mode</code> is <code>raw</code>.
+ * @param {string} [config.mode=event] - HTTP Event Collector endpoint type, <code>event</code> or <code>raw</code>.
+ * In <code>raw</code> mode, each formatted event is sent as a line of text, leaving line breaking and
+ * timestamp extraction to Splunk Enterprise or Splunk Cloud.
+ * @param {object} [config.metadata] - Metadata for all events sent in <code>raw</code> mode, passed as query parameters.
+ * Supports the <code>host</code>, <code>source</code>, <code>sourcetype</code>, and <code>index</code> properties.
  * @param {string} [config.protocol=https] - Protocol used to communicate with the Splunk Enterprise or Splunk Cloud server, <code>http</code> or <code>https</code>.
  * @param {number} [config.port=8088] - HTTP Event Collector port on the Splunk Enterprise or Splunk Cloud server.
  * @param {string} [config.url] - URL string to pass to {@link https://nodejs.org/api/url.html#url_url_parsing|url.parse}. This will try to set
  * <code>host</code>, <code>path</code>, <code>protocol</code>, <code>port</code>, <code>url</code>. Any of these values will be overwritten if 
  * the corresponding property is set on <code>config</code>.
+ * @param {string[]} [config.endpoints] - Base URLs of several HTTP Event Collector endpoints, such as
+ * <code>["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]</code>, to use instead of
+ * <code>host</code>, <code>port</code>, and <code>protocol</code>. Any path in these URLs is ignored.
+ * @param {string} [config.endpointPolicy=failover] - How to choose between <code>endpoints</code>. With <code>failover</code>,
+ * events are sent to the first healthy endpoint. With <code>roundRobin</code>, batches of events take turns between healthy endpoints.
+ * With <code>leastInFlight</code>, batches of events are sent to the healthy endpoint with the fewest requests in progress.
+ * For every policy, an endpoint that can't be reached after <code>maxRetries</code> is marked unhealthy, and the
+ * events are sent to another endpoint instead.
+ * @param {number} [config.probeInterval=30000] - How long an unhealthy endpoint is skipped, in milliseconds,
+ * before it's tried again.
+ * @param {number} [config.circuitBreakerThreshold=0] - Stop sending events after this many batches in a row have failed,
+ * because the endpoints can't be reached or are busy, opening the circuit breaker. This setting is ignored when non-positive.
+ * @param {number} [config.circuitBreakerCooldown=30000] - How long the circuit breaker stays open, in milliseconds, before
+ * a single batch of events is sent to probe whether Splunk Enterprise or Splunk Cloud has recovered.
+ * @param {string} [config.circuitBreakerPolicy=queue] - What to do with events flushed while the circuit breaker is open,
+ * <code>queue</code> them until it closes, or <code>drop</code> them, reporting an error.
  * @param {string} [config.level=info] - Logging level to use, will show up as the <code>severity</code> field of an event, see
  *  [SplunkLogger.levels]{@link SplunkLogger#levels} for common levels.
  * @param {number} [config.batchInterval=0] - Automatically flush events after this many milliseconds.
  * When set to a non-positive value, events will be sent one by one. This setting is ignored when non-positive.
- * @param {number} [config.maxBatchSize=0] - Automatically flush events after the size of queued
- * events exceeds this many bytes. This setting is ignored when non-positive.
+ * @param {boolean} [config.linger=false] - Flush events <code>batchInterval</code> milliseconds after the first event
+ * is queued, rather than every <code>batchInterval</code> milliseconds. Nothing is scheduled while the queue is empty.
+ * @param {number} [config.maxEventAge=0] - Flush events before any of them has been queued for longer than this many
+ * milliseconds, whatever the other batching settings. This setting is ignored when non-positive.
+ * Batching timers never keep the process alive, use <code>close()</code> to send queued events before exiting.
+ * @param {object} [config.lanes] - Batching settings for events of particular severities, by severity, such as
+ * <code>{error: {maxBatchCount: 1}, debug: {batchInterval: 10000, maxBatchCount: 500}}</code>. Each lane takes
+ * <code>maxBatchCount</code>, <code>maxBatchSize</code> and <code>batchInterval</code>, defaulting to the settings above,
+ * and is flushed on its own when it reaches them. A lane's <code>batchInterval</code> always lingers, see <code>linger</code>.
+ * Events of other severities are batched together, as usual. <code>flush()</code> sends every lane.
+ * @param {number} [config.maxBatchSize=0] - Maximum size of a batch of events, in bytes. Queued events are flushed
+ * before an event that would take them over this size is queued, so only a single event larger than this is ever sent
+ * in a larger request. If the server responds with <code>413 Payload Too Large</code>, the batch is split in half and
+ * sent again. This setting is ignored when non-positive.
  * @param {number} [config.maxBatchCount=1] - Automatically flush events after this many
  * events have been queued. Defaults to flush immediately on sending an event. This setting is ignored when non-positive.
+ * @param {number} [config.maxQueueCount=0] - Maximum number of events to queue in memory, waiting to be flushed, or
+ * flushed but held back by the circuit breaker or waiting for their turn to be sent. This setting is ignored when non-positive.
+ * @param {number} [config.maxQueueBytes=0] - Maximum size of the events queued in memory, as for <code>maxQueueCount</code>, in bytes.
+ * This setting is ignored when non-positive.
+ * @param {string} [config.queueOverflow=dropNewest] - What to do when an event doesn't fit in the queue. With <code>dropNewest</code>,
+ * the new event is dropped. With <code>dropOldest</code>, the oldest queued events are dropped to make room. With
+ * <code>dropLowestSeverity</code>, the oldest events with the lowest severity are dropped, which may be the new event.
+ * Flushed batches are dropped as a whole, and are older than any queued event; a batch ranks as its most severe event.
+ * With <code>spill</code>, the new event is passed to <code>onSpill</code> instead of being queued.
+ * Dropped events are counted in <code>droppedEvents</code>, and reported to <code>error</code>. With <code>queueDir</code>,
+ * a dropped event may still be on disk, and be sent after a restart.
+ * @param {number} [config.maxInFlight=0] - Maximum number of batches of events to send at the same time. Further batches
+ * wait their turn, oldest first. This setting is ignored when non-positive.
+ * @param {boolean} [config.ordered=false] - Send batches of events strictly in order, one at a time: a batch isn't sent
+ * until the one before it has been delivered, or given up on.
+ * @param {number} [config.highWaterMark=16384] - Once this many bytes of events are queued or being sent, <code>send()</code>
+ * returns <code>false</code>, and a <code>drain</code> event is emitted when it's safe to send more. This setting is ignored when non-positive.
+ * @param {number} [config.dedupWindow=0] - Collapse repeats of an event sent within this many milliseconds of it into
+ * the last of them, sent once the window ends with the <code>repeat_count</code>, <code>first_timestamp</code> and
+ * <code>last_timestamp</code> of the repeats as indexed <code>fields</code>. Its message is left as is for <code>eventFormatter</code>.
+ * In raw mode, where events can't have fields, only the last repeat is sent. The first event is sent as usual.
+ * This setting is ignored when non-positive.
+ * @param {function} [config.dedupFingerprint] - Decides which events are repeats of each other, for <code>dedupWindow</code>:
+ * <code>function(context)</code>, returning the same string for repeats. Defaults to comparing the <code>message</code>,
+ * <code>severity</code>, and <code>metadata</code>, except for <code>time</code>.
+ * @param {number} [config.closeTimeout=30000] - How long <code>close()</code> waits for events to be sent, in milliseconds,
+ * including retries. This setting is ignored when non-positive.
+ * @param {boolean} [config.keepAlive=true] - Keep connections to Splunk Enterprise or Splunk Cloud open, and reuse them for later requests.
+ * @param {number} [config.maxSockets=0] - Maximum number of concurrent connections to Splunk Enterprise or Splunk Cloud.
+ * This setting is ignored when non-positive.
+ * @param {number} [config.timeout=0] - Socket inactivity timeout in milliseconds, after which a request fails.
+ * This setting is ignored when non-positive.
+ * @param {Transport} [config.transport] - Sends requests to Splunk Enterprise or Splunk Cloud, any object with a
+ * <code>send(payload, meta, callback)</code> function, see [Transport]{@link Transport}. Defaults to an
+ * [HttpTransport]{@link HttpTransport} using the <code>keepAlive</code>, <code>maxSockets</code> and <code>timeout</code> settings.
+ * @param {(DeadLetterSink|function)} [config.deadLetter] - Receives the events in a batch that ultimately failed, or
+ * that were dropped or given up on at <code>close()</code>, with their original <code>context</code> objects, see
+ * [DeadLetterSink]{@link DeadLetterSink}. Such as a [FileDeadLetterSink]{@link FileDeadLetterSink}, or a function:
+ * <code>function(contexts, failure)</code>. Errors are still reported to <code>error</code>. With <code>queueDir</code>,
+ * a batch handed to the sink is removed from disk, instead of being sent again after a restart.
+ * @param {string} [config.compression] - Compress request bodies, <code>gzip</code> or <code>deflate</code>.
+ * Requests are sent uncompressed from then on if the server rejects a compressed request.
+ * @param {boolean} [config.compressedBatchSize=false] - Measure <code>maxBatchSize</code> against the compressed
+ * size of queued events, rather than their uncompressed size. Ignored when <code>compression</code> isn't set.
+ * The compressed size is estimated from how well the last batch compressed, and a batch that still turns out
+ * too large once it's compressed is split before it's sent.
+ * @param {string} [config.queueDir] - Directory to keep a write-ahead queue of events in, so they survive a crash or restart,
+ * see [FileQueue]{@link FileQueue}. Each event is written to disk before <code>send()</code> returns, and removed once its batch
+ * has been sent. Anything left over is sent when a <code>SplunkLogger</code> is next constructed with the same directory.
+ * @param {number} [config.queueMaxSize=0] - Maximum bytes to use in <code>queueDir</code>. Events that don't fit are only queued
+ * in memory, and reported as an error. This setting is ignored when non-positive.
+ * @param {boolean} [config.ack=false] - Wait for Splunk Enterprise or Splunk Cloud to confirm that events have been indexed,
+ * using indexer acknowledgement, before calling back. The HTTP Event Collector token must have indexer acknowledgement enabled.
+ * @param {string} [config.channel] - Channel identifier sent in the <code>X-Splunk-Request-Channel</code> header.
+ * A random GUID is generated when <code>ack</code> is enabled and this is not set.
+ * @param {string} [config.ackPath=/services/collector/ack] - URL path to poll for indexer acknowledgement.
+ * @param {number} [config.ackInterval=1000] - How often to poll for indexer acknowledgement, in milliseconds.
+ * @param {number} [config.ackTimeout=60000] - How long to wait for indexer acknowledgement, in milliseconds,
+ * before sending the events again.
  * @constructor
+ * @extends EventEmitter
  * @throws Will throw an error if the <code>config</code> parameter is malformed.
  */
 var SplunkLogger = function(config) {
+    EventEmitter.call(this);
     this._timerID = null;
     this._timerDuration = 0;
+    this._flushTimerID = null;
+    this._flushDeadline = 0;
+    this._ackTimerID = null;
+    this._pendingAcks = {};
+    this._compressionRejected = false;
+    // Compressed size of the last compressed batch over its uncompressed size, for config.compressedBatchSize
+    this._compressionRatio = null;
+    this._endpointState = {};
+    this._nextEndpoint = 0;
+    this._circuit = {
+        state: "closed",
+        failures: 0,
+        probing: false,
+        queue: [],
+        timerID: null
+    };
     this.config = this._initializeConfig(config);
     this.requestOptions = this._initializeRequestOptions();
     this.serializedContextQueue = [];
     this.eventsBatchSize = 0;
+    this.droppedEvents = 0;
+    // The severity, lane, size, time queued, callback, and original context of each event in this.serializedContextQueue
+    this._queueMeta = [];
+    // How many events are queued in each lane, their size in bytes, and when the oldest was queued, by lane
+    this._laneStats = {};
+    this._inFlightCount = 0;
+    this._inFlightBytes = 0;
+    // Batches being sent, or waiting to be sent, by an ID from this._nextBatchId
+    this._inFlightBatches = {};
+    // Batches waiting for config.maxInFlight, and how many batches are being sent
+    this._waitingBatches = [];
+    this._sendingCount = 0;
+    this._nextBatchId = 0;
+    this._needDrain = false;
+    this._paused = false;
+    // Events seen within config.dedupWindow, and their repeats, by fingerprint
+    this._dedup = {};
+    this._closing = null;
     this.eventFormatter = _defaultEventFormatter;
     this.error = _err;
+    this.onRetry = function() {};
+    this.onCircuitStateChange = function() {};
+    this.onSpill = function() {};
+    this._fileQueue = null;
 
     this._enableTimer = utils.bind(this, this._enableTimer);
     this._disableTimer = utils.bind(this, this._disableTimer);
+    this._scheduleFlush = utils.bind(this, this._scheduleFlush);
+    this._cancelFlush = utils.bind(this, this._cancelFlush);
+    this._laneOf = utils.bind(this, this._laneOf);
+    this._laneSettings = utils.bind(this, this._laneSettings);
+    this._laneEvents = utils.bind(this, this._laneEvents);
+    this._trackEvent = utils.bind(this, this._trackEvent);
+    this._untrackEvent = utils.bind(this, this._untrackEvent);
+    this._overBatchSize = utils.bind(this, this._overBatchSize);
+    this._laneIsFull = utils.bind(this, this._laneIsFull);
+    this._fullBatchCount = utils.bind(this, this._fullBatchCount);
+    this._laneDeadlines = utils.bind(this, this._laneDeadlines);
+    this._flushDue = utils.bind(this, this._flushDue);
+    this._flushLane = utils.bind(this, this._flushLane);
     this._initializeConfig = utils.bind(this, this._initializeConfig);
     this._initializeRequestOptions = utils.bind(this, this._initializeRequestOptions);
     this._validateMessage = utils.bind(this, this._validateMessage);
     this._initializeMetadata = utils.bind(this, this._initializeMetadata);
     this._initializeContext = utils.bind(this, this._initializeContext);
     this._makeBody = utils.bind(this, this._makeBody);
+    this._makeRawBody = utils.bind(this, this._makeRawBody);
+    this._serializeEvent = utils.bind(this, this._serializeEvent);
     this._post = utils.bind(this, this._post);
     this._sendEvents = utils.bind(this, this._sendEvents);
+    this._sendSplit = utils.bind(this, this._sendSplit);
+    this._sendWithout = utils.bind(this, this._sendWithout);
+    this._makeUrl = utils.bind(this, this._makeUrl);
+    this._getEndpoints = utils.bind(this, this._getEndpoints);
+    this._getEndpointState = utils.bind(this, this._getEndpointState);
+    this._isEndpointAvailable = utils.bind(this, this._isEndpointAvailable);
+    this._selectEndpoint = utils.bind(this, this._selectEndpoint);
+    this._updateEndpointHealth = utils.bind(this, this._updateEndpointHealth);
+    this._setCircuitState = utils.bind(this, this._setCircuitState);
+    this._circuitAllows = utils.bind(this, this._circuitAllows);
+    this._recordCircuitResult = utils.bind(this, this._recordCircuitResult);
+    this.addEndpoint = utils.bind(this, this.addEndpoint);
+    this.removeEndpoint = utils.bind(this, this.removeEndpoint);
+    this._waitForAck = utils.bind(this, this._waitForAck);
+    this._scheduleAckPoll = utils.bind(this, this._scheduleAckPoll);
+    this._pollAcks = utils.bind(this, this._pollAcks);
+    this._replayBatches = utils.bind(this, this._replayBatches);
+    this._makeRoom = utils.bind(this, this._makeRoom);
+    this._heldBatches = utils.bind(this, this._heldBatches);
+    this._dropHeldBatch = utils.bind(this, this._dropHeldBatch);
+    this._belowHighWaterMark = utils.bind(this, this._belowHighWaterMark);
+    this.queueState = utils.bind(this, this.queueState);
+    this._reportError = utils.bind(this, this._reportError);
+    this._giveUp = utils.bind(this, this._giveUp);
+    this._sendBatch = utils.bind(this, this._sendBatch);
+    this._sendWaiting = utils.bind(this, this._sendWaiting);
+    this._checkClosed = utils.bind(this, this._checkClosed);
+    this._abandonBatches = utils.bind(this, this._abandonBatches);
+    this.close = utils.bind(this, this.close);
+    this._enqueue = utils.bind(this, this._enqueue);
+    this._dedupe = utils.bind(this, this._dedupe);
+    this._flushRepeats = utils.bind(this, this._flushRepeats);
     this.send = utils.bind(this, this.send);
+    this.sendAsync = utils.bind(this, this.sendAsync);
     this.flush = utils.bind(this, this.flush);
+    this.flushAsync = utils.bind(this, this.flushAsync);
+    this.pause = utils.bind(this, this.pause);
+    this.resume = utils.bind(this, this.resume);
+    this.clear = utils.bind(this, this.clear);
+    this.peek = utils.bind(this, this.peek);
+    this.pending = utils.bind(this, this.pending);
+
+    if (this.config.queueDir) {
+        this._fileQueue = new FileQueue({
+            dir: this.config.queueDir,
+            maxSize: this.config.queueMaxSize
+        });
+
+        // Events that weren't flushed before a restart go back in the queue
+        var pending = this._fileQueue.pending();
+        for (var i = 0; i < pending.length; i++) {
+            var size = Buffer.byteLength(pending[i], "utf8");
+            var meta = {severity: this.levels.INFO, lane: this._laneOf(this.levels.INFO), size: size, time: Date.now()};
+            this.serializedContextQueue.push(pending[i]);
+            this._queueMeta.push(meta);
+            this._trackEvent(meta);
+            this.eventsBatchSize += size;
+        }
+
+        // Batches that weren't sent are sent again, once the caller has set up error handling,
+        // followed by the events that weren't flushed, which might never fill a batch otherwise.
+        // Only replay the batches that are already on disk, not ones flushed in the meantime.
+        var batches = this._fileQueue.batches();
+        var replayed = pending.length > 0;
+        var that = this;
+        process.nextTick(function() {
+            that._replayBatches(batches);
+            if (replayed && that.serializedContextQueue.length > 0) {
+                that.flush();
+            }
+        });
+    }
 };
+util.inherits(SplunkLogger, EventEmitter);
 
 /**
  * Enum for common logging levels.
@@ -138,17 +411,291 @@ var defaultConfig = {
     name: "splunk-javascript-logging/0.9.1",
     host: "localhost",
     path: "/services/collector/event/1.0",
+    mode: "event",
     protocol: "https",
     port: 8088,
     level: SplunkLogger.prototype.levels.INFO,
+    endpointPolicy: "failover",
+    probeInterval: 30000,
+    circuitBreakerThreshold: 0,
+    circuitBreakerCooldown: 30000,
+    circuitBreakerPolicy: "queue",
     maxRetries: 0,
+    retryBaseDelay: 10,
+    retryMaxDelay: 120000,
+    retryMultiplier: 2,
+    retryJitter: null,
+    retryBudget: 0,
+    retryableCodes: [9],
+    retryableStatuses: [429, 503],
     batchInterval: 0,
+    linger: false,
+    maxEventAge: 0,
+    lanes: null,
     maxBatchSize: 0,
-    maxBatchCount: 1
+    maxBatchCount: 1,
+    maxInFlight: 0,
+    ordered: false,
+    highWaterMark: 16384,
+    dedupWindow: 0,
+    dedupFingerprint: null,
+    closeTimeout: 30000,
+    maxQueueCount: 0,
+    maxQueueBytes: 0,
+    queueOverflow: "dropNewest",
+    keepAlive: true,
+    maxSockets: 0,
+    timeout: 0,
+    compression: null,
+    compressedBatchSize: false,
+    ack: false,
+    ackPath: "/services/collector/ack",
+    ackInterval: 1000,
+    ackTimeout: 60000,
+    queueDir: null,
+    queueMaxSize: 0,
+    deadLetter: null
+};
+
+// Supported values of config.retryJitter
+var retryJitters = ["full", "equal", "decorrelated"];
+
+// Supported values of config.circuitBreakerPolicy
+var circuitBreakerPolicies = ["queue", "drop"];
+
+// Supported values of config.queueOverflow
+var queueOverflowPolicies = ["dropNewest", "dropOldest", "dropLowestSeverity", "spill"];
+
+// Rank of each severity, lowest first, for config.queueOverflow = dropLowestSeverity
+var severityRanks = {
+    debug: 0,
+    info: 1,
+    warn: 2,
+    error: 3
+};
+
+/**
+ * Ranks a severity, treating unknown severities like <code>info</code>.
+ *
+ * @param {string} severity
+ * @returns {number}
+ * @private
+ */
+function _severityRank(severity) {
+    return severityRanks.hasOwnProperty(severity) ? severityRanks[severity] : severityRanks.info;
+}
+
+// Supported values of config.endpointPolicy
+var endpointPolicies = ["failover", "roundRobin", "leastInFlight"];
+
+/**
+ * Validates a list of endpoint URLs, normalizing each one to a base URL
+ * like <code>https://splunk.local:8088</code>.
+ *
+ * @param {string[]} endpoints - Endpoint URLs.
+ * @param {object} config - Provides the default <code>protocol</code> and <code>port</code>.
+ * @returns {string[]}
+ * @throws Will throw an error if the <code>endpoints</code> parameter is malformed.
+ * @private
+ */
+function _parseEndpoints(endpoints, config) {
+    if (!Array.isArray(endpoints) || endpoints.length === 0) {
+        throw new Error("Endpoints must be a non-empty array of URLs.");
+    }
+    return endpoints.map(function(endpoint) {
+        var parsed = typeof endpoint === "string" ? url.parse(endpoint, false, true) : {};
+        if (!parsed.hostname) {
+            throw new Error("Endpoint must be a URL, found: " + endpoint);
+        }
+        var protocol = parsed.protocol ? parsed.protocol.replace(":", "") : config.protocol;
+        var port = parsed.port || config.port;
+        return protocol + "://" + parsed.hostname + ":" + port;
+    });
+}
+
+/**
+ * Validates a list of HTTP Event Collector error codes, or HTTP status codes.
+ *
+ * @param {number[]} codes - Codes to validate.
+ * @param {string} label - Human readable name for <code>codes</code> for error messages.
+ * @returns {number[]}
+ * @throws Will throw an error if the <code>codes</code> parameter is malformed.
+ * @private
+ */
+function _parseCodes(codes, label) {
+    if (!Array.isArray(codes)) {
+        throw new Error(label + " must be an array of numbers.");
+    }
+    return codes.map(function(code) {
+        return utils.validateNonNegativeInt(code, label);
+    });
+}
+
+/**
+ * Validates per-severity batching settings.
+ *
+ * @param {object} [lanes] - Batching settings, by severity.
+ * @returns {object|null} The validated settings, or <code>null</code> if <code>lanes</code> isn't set.
+ * @throws Will throw an error if the <code>lanes</code> parameter is malformed.
+ * @private
+ */
+function _parseLanes(lanes) {
+    if (!lanes) {
+        return null;
+    }
+    if (typeof lanes !== "object" || Array.isArray(lanes)) {
+        throw new Error("Lanes must be an object.");
+    }
+
+    var names = {
+        maxBatchCount: "Max batch count",
+        maxBatchSize: "Max batch size",
+        batchInterval: "Batch interval"
+    };
+    var ret = {};
+    Object.keys(lanes).forEach(function(severity) {
+        var lane = lanes[severity];
+        if (!lane || typeof lane !== "object") {
+            throw new Error("Lane settings must be an object, found: " + lane);
+        }
+        ret[severity] = {};
+        Object.keys(lane).forEach(function(name) {
+            if (!names.hasOwnProperty(name)) {
+                throw new Error("Unknown lane setting: " + name);
+            }
+            ret[severity][name] = utils.validateNonNegativeInt(lane[name], names[name] + " for " + severity + " lane");
+        });
+    });
+    return ret;
+}
+
+/**
+ * Returns <code>true</code> if a batch of events was accepted by Splunk Enterprise or Splunk Cloud.
+ *
+ * @param {Error} [err] - Error from sending the batch.
+ * @param {object} [response] - Response to sending the batch.
+ * @param {object} [body] - Body of <code>response</code>.
+ * @returns {boolean}
+ * @private
+ */
+function _isDelivered(err, response, body) {
+    return SplunkError.fromResponse(err, response, body) === null;
+}
+
+/**
+ * Finds the event that HTTP Event Collector couldn't parse, from the <code>invalid-event-number</code>
+ * in its response to a batch of more than one event.
+ *
+ * @param {object} [body] - Body of the response to sending the batch.
+ * @param {object} context - The batch of events, with the serialized events in <code>context.events</code>.
+ * @returns {number|null} The index of the event in <code>context.events</code>, or <code>null</code>.
+ * @private
+ */
+function _invalidEventNumber(body, context) {
+    if (!body || !body.hasOwnProperty("invalid-event-number") || !context.events || context.events.length < 2) {
+        return null;
+    }
+    var index = parseInt(body["invalid-event-number"], 10);
+    return index >= 0 && index < context.events.length ? index : null;
+}
+
+/**
+ * Makes a batch of some of the events in another batch.
+ *
+ * @param {object} context - The original batch of events.
+ * @param {string[]} events - Serialized events from <code>context.events</code>.
+ * @param {object[]} [contexts] - The matching events from <code>context.contexts</code>.
+ * @returns {object}
+ * @private
+ */
+function _subBatch(context, events, contexts) {
+    return {
+        message: events.join(""),
+        count: events.length,
+        events: events,
+        contexts: contexts,
+        maxBatchSize: context.maxBatchSize,
+        severity: context.severity,
+        metadata: context.metadata
+    };
+}
+
+/**
+ * Fingerprints an event for <code>config.dedupWindow</code> by its message, severity, and metadata,
+ * leaving out any <code>time</code>.
+ *
+ * @param {object} context - The initialized <code>context</code> of the event.
+ * @returns {string}
+ * @private
+ */
+function _defaultFingerprint(context) {
+    var metadata = {};
+    Object.keys(context.metadata || {}).sort().forEach(function(key) {
+        if (key !== "time") {
+            metadata[key] = context.metadata[key];
+        }
+    });
+    return JSON.stringify([context.message, context.severity, metadata]);
+}
+
+/**
+ * Makes the event sent in place of the repeats of an event, the last repeat with a <code>repeat</code> object
+ * holding the <code>repeat_count</code>, and the <code>first_timestamp</code> and <code>last_timestamp</code>
+ * of the repeats, in seconds.
+ *
+ * @param {object} entry - Repeats of an event, from <code>this._dedup</code>.
+ * @returns {object} The <code>context</code> of the summary.
+ * @private
+ */
+function _summarize(entry) {
+    var original = entry.context;
+    var metadata = {};
+    Object.keys(original.metadata || {}).forEach(function(key) {
+        metadata[key] = original.metadata[key];
+    });
+    metadata.time = entry.last;
+
+    return {
+        message: original.message,
+        severity: original.severity,
+        metadata: metadata,
+        repeat: {
+            repeat_count: entry.count,
+            first_timestamp: parseFloat(utils.formatTime(entry.first)),
+            last_timestamp: parseFloat(utils.formatTime(entry.last))
+        }
+    };
+}
+
+/**
+ * Makes a callback that settles a promise, resolving with the response body,
+ * or rejecting with a [SplunkError]{@link SplunkError}.
+ *
+ * @param {function} resolve
+ * @param {function} reject
+ * @returns {function} A callback function: <code>function(err, response, body)</code>.
+ * @private
+ */
+function _settle(resolve, reject) {
+    return function(err, response, body) {
+        var splunkError = SplunkError.fromResponse(err, response, body);
+        if (splunkError) {
+            reject(splunkError);
+        }
+        else {
+            resolve(body);
+        }
+    };
+}
+
+// Default URL paths for each value of config.mode
+var defaultPaths = {
+    event: defaultConfig.path,
+    raw: "/services/collector/raw"
 };
 
 var defaultRequestOptions = {
-    json: true, // Sets the content-type header to application/json.
+    json: true, // Parses JSON responses, and sends object bodies as JSON.
     strictSSL: false
 };
 
@@ -190,10 +737,269 @@ SplunkLogger.prototype._enableTimer = function(interval) {
 
     var that = this;
     this._timerID = setInterval(function() {
-        if (that.serializedContextQueue.length > 0) {
-            that.flush();
+        if (that.serializedContextQueue.length > 0 && !that._paused) {
+            that._flushLane("");
         }
     }, interval);
+    _unref(this._timerID);
+};
+
+/**
+ * Schedules a flush for the lane with the earliest deadline, see <code>this._laneDeadlines()</code>.
+ * Does nothing if a flush is already scheduled for then, or earlier.
+ *
+ * @private
+ */
+SplunkLogger.prototype._scheduleFlush = function() {
+    if (this._closing || this._paused) {
+        return;
+    }
+
+    var deadlines = this._laneDeadlines();
+    var deadline = 0;
+    Object.keys(deadlines).forEach(function(lane) {
+        if (deadline === 0 || deadlines[lane] < deadline) {
+            deadline = deadlines[lane];
+        }
+    });
+    if (deadline === 0 || (this._flushTimerID && this._flushDeadline <= deadline)) {
+        return;
+    }
+
+    this._cancelFlush();
+    this._flushDeadline = deadline;
+    this._flushTimerID = setTimeout(this._flushDue, Math.max(0, deadline - Date.now()));
+    _unref(this._flushTimerID);
+};
+
+/**
+ * Cancels a flush scheduled by <code>this._scheduleFlush()</code>.
+ *
+ * @private
+ */
+SplunkLogger.prototype._cancelFlush = function() {
+    if (this._flushTimerID) {
+        clearTimeout(this._flushTimerID);
+        this._flushTimerID = null;
+        this._flushDeadline = 0;
+    }
+};
+
+/**
+ * Flushes every lane whose deadline has passed, then schedules the next flush.
+ *
+ * @private
+ */
+SplunkLogger.prototype._flushDue = function() {
+    this._flushTimerID = null;
+    this._flushDeadline = 0;
+
+    var deadlines = this._laneDeadlines();
+    var now = Date.now();
+    var that = this;
+    Object.keys(deadlines).forEach(function(lane) {
+        if (deadlines[lane] <= now) {
+            that._flushLane(lane);
+        }
+    });
+    this._scheduleFlush();
+};
+
+/**
+ * Gets the lane for events of a severity, the severity itself if <code>config.lanes</code>
+ * has settings for it, or <code>""</code> for the default lane.
+ *
+ * @param {string} severity
+ * @returns {string}
+ * @private
+ */
+SplunkLogger.prototype._laneOf = function(severity) {
+    var lanes = this.config.lanes;
+    return lanes && lanes.hasOwnProperty(severity) ? severity : "";
+};
+
+/**
+ * Gets the batching settings for a lane, falling back to <code>this.config</code>.
+ *
+ * @param {string} lane - A lane from <code>this._laneOf()</code>.
+ * @returns {object} An object with the <code>maxBatchCount</code>, <code>maxBatchSize</code>, and <code>linger</code> properties,
+ * where <code>linger</code> is how long to wait after the first event in the lane, <code>0</code> for no limit.
+ * @private
+ */
+SplunkLogger.prototype._laneSettings = function(lane) {
+    var config = this.config;
+    if (lane === "") {
+        return {
+            maxBatchCount: config.maxBatchCount,
+            maxBatchSize: config.maxBatchSize,
+            linger: config.linger ? config.batchInterval : 0
+        };
+    }
+
+    var settings = config.lanes[lane];
+    var setting = function(name) {
+        return settings.hasOwnProperty(name) ? settings[name] : config[name];
+    };
+    return {
+        maxBatchCount: setting("maxBatchCount"),
+        maxBatchSize: setting("maxBatchSize"),
+        linger: setting("batchInterval")
+    };
+};
+
+/**
+ * Gets the events queued in a lane.
+ *
+ * @param {string} lane - A lane from <code>this._laneOf()</code>.
+ * @returns {object} An object with the serialized <code>events</code>, and their total <code>size</code> in bytes.
+ * @private
+ */
+SplunkLogger.prototype._laneEvents = function(lane) {
+    var events = [];
+    var size = 0;
+    for (var i = 0; i < this._queueMeta.length; i++) {
+        if (this._queueMeta[i].lane === lane) {
+            events.push(this.serializedContextQueue[i]);
+            size += this._queueMeta[i].size;
+        }
+    }
+    return {events: events, size: size};
+};
+
+/**
+ * Counts an event queued at the end of <code>this._queueMeta</code> in <code>this._laneStats</code>.
+ *
+ * @param {object} meta - The event's entry in <code>this._queueMeta</code>.
+ * @private
+ */
+SplunkLogger.prototype._trackEvent = function(meta) {
+    var stats = this._laneStats[meta.lane];
+    if (!stats) {
+        stats = this._laneStats[meta.lane] = {count: 0, size: 0, time: meta.time};
+    }
+    stats.count++;
+    stats.size += meta.size;
+};
+
+/**
+ * Stops counting an event taken out of <code>this._queueMeta</code> in <code>this._laneStats</code>.
+ *
+ * @param {object} meta - The event's former entry in <code>this._queueMeta</code>.
+ * @private
+ */
+SplunkLogger.prototype._untrackEvent = function(meta) {
+    var stats = this._laneStats[meta.lane];
+    stats.count--;
+    stats.size -= meta.size;
+    if (stats.count === 0) {
+        delete this._laneStats[meta.lane];
+        return;
+    }
+
+    // The oldest event in the lane may have gone, find the next one
+    if (meta.time <= stats.time) {
+        for (var i = 0; i < this._queueMeta.length; i++) {
+            if (this._queueMeta[i].lane === meta.lane) {
+                stats.time = this._queueMeta[i].time;
+                break;
+            }
+        }
+    }
+};
+
+/**
+ * Checks whether a batch of events is larger than <code>maxBatchSize</code>.
+ * With <code>config.compressedBatchSize</code>, the compressed size of the batch is estimated
+ * from <code>this._compressionRatio</code>, which is measured on the batch the first time it's needed.
+ *
+ * @param {number} size - Total size of the events, in bytes.
+ * @param {number} maxBatchSize - The limit, ignored when non-positive.
+ * @param {function} events - Gets the serialized events in the batch: <code>function()</code>,
+ * only called to measure the compression ratio.
+ * @returns {boolean}
+ * @private
+ */
+SplunkLogger.prototype._overBatchSize = function(size, maxBatchSize, events) {
+    var batchOverSize = size > maxBatchSize && maxBatchSize > 0;
+    // Compressed batches are smaller than their events, only estimate their size when the batch might be too large
+    if (batchOverSize && this.config.compression && this.config.compressedBatchSize && !this._compressionRejected) {
+        if (this._compressionRatio === null) {
+            var data = events().join("");
+            this._compressionRatio = utils.compressSync(this.config.compression, data).length / Buffer.byteLength(data, "utf8");
+        }
+        batchOverSize = size * this._compressionRatio > maxBatchSize;
+    }
+    return batchOverSize;
+};
+
+/**
+ * Checks whether the events queued in a lane have reached its <code>maxBatchSize</code> or <code>maxBatchCount</code>.
+ *
+ * @param {string} lane - A lane from <code>this._laneOf()</code>.
+ * @returns {boolean}
+ * @private
+ */
+SplunkLogger.prototype._laneIsFull = function(lane) {
+    var stats = this._laneStats[lane];
+    if (!stats) {
+        return false;
+    }
+    var settings = this._laneSettings(lane);
+    var that = this;
+    var batchOverSize = this._overBatchSize(stats.size, settings.maxBatchSize, function() {
+        return that._laneEvents(lane).events;
+    });
+    var batchOverCount = stats.count >= settings.maxBatchCount && settings.maxBatchCount > 0;
+    return batchOverSize || batchOverCount;
+};
+
+/**
+ * Works out how many of the oldest events queued in a lane make up a full batch,
+ * within its <code>maxBatchCount</code> and <code>maxBatchSize</code>, and at least one.
+ *
+ * @param {string} lane - A lane from <code>this._laneOf()</code>.
+ * @returns {number}
+ * @private
+ */
+SplunkLogger.prototype._fullBatchCount = function(lane) {
+    var settings = this._laneSettings(lane);
+    var events = this._laneEvents(lane).events;
+    var count = events.length;
+    if (settings.maxBatchCount > 0) {
+        count = Math.min(count, settings.maxBatchCount);
+    }
+
+    var batch = events.slice(0, count);
+    var size = Buffer.byteLength(batch.join(""), "utf8");
+    var getBatch = function() {
+        return batch;
+    };
+    while (batch.length > 1 && this._overBatchSize(size, settings.maxBatchSize, getBatch)) {
+        size -= Buffer.byteLength(batch.pop(), "utf8");
+    }
+    return batch.length;
+};
+
+/**
+ * Works out when each lane with queued events must be flushed: its lingering time after its oldest event,
+ * or before its oldest event is older than <code>config.maxEventAge</code>, whichever comes first.
+ *
+ * @returns {object} Deadlines as timestamps, by lane. Lanes without a deadline are left out.
+ * @private
+ */
+SplunkLogger.prototype._laneDeadlines = function() {
+    var deadlines = {};
+    var that = this;
+    Object.keys(this._laneStats).forEach(function(lane) {
+        var wait = that._laneSettings(lane).linger;
+        if (that.config.maxEventAge > 0 && (wait === 0 || that.config.maxEventAge < wait)) {
+            wait = that.config.maxEventAge;
+        }
+        if (wait > 0) {
+            deadlines[lane] = that._laneStats[lane].time + wait;
+        }
+    });
+    return deadlines;
 };
 
 /**
@@ -251,8 +1057,20 @@ SplunkLogger.prototype._initializeConfig = function(config) {
         ret.name = utils.orByProp("name", config, ret, defaultConfig);
         ret.level = utils.orByProp("level", config, ret, defaultConfig);
 
+        ret.mode = utils.orByProp("mode", config, ret, defaultConfig);
+        if (!defaultPaths.hasOwnProperty(ret.mode)) {
+            throw new Error("Mode must be event or raw, found: " + ret.mode);
+        }
+
         ret.host = utils.orByProp("host", config, ret, defaultConfig);
-        ret.path = utils.orByProp("path", config, ret, defaultConfig);
+        // Follow the mode's default path, unless a path has been set
+        var pathIsDefault = !ret.path || ret.path === defaultPaths.event || ret.path === defaultPaths.raw;
+        if (!config.path && pathIsDefault) {
+            ret.path = defaultPaths[ret.mode];
+        }
+        else {
+            ret.path = utils.orByProp("path", config, ret);
+        }
         ret.protocol = utils.orByProp("protocol", config, ret, defaultConfig);
         ret.port = utils.orByFalseyProp("port", config, ret, defaultConfig);
         ret.port = utils.validateNonNegativeInt(ret.port, "Port");
@@ -260,8 +1078,45 @@ SplunkLogger.prototype._initializeConfig = function(config) {
             throw new Error("Port must be an integer between 1 and 65535, found: " + ret.port);
         }
 
+        ret.endpoints = utils.orByProp("endpoints", config, ret);
+        if (ret.endpoints) {
+            ret.endpoints = _parseEndpoints(ret.endpoints, ret);
+        }
+        ret.endpointPolicy = utils.orByProp("endpointPolicy", config, ret, defaultConfig);
+        if (endpointPolicies.indexOf(ret.endpointPolicy) === -1) {
+            throw new Error("Endpoint policy must be one of " + endpointPolicies.join(", ") + ", found: " + ret.endpointPolicy);
+        }
+        ret.probeInterval = utils.orByFalseyProp("probeInterval", config, ret, defaultConfig);
+        ret.probeInterval = utils.validateNonNegativeInt(ret.probeInterval, "Probe interval");
+
+        // Circuit breaker settings
+        ret.circuitBreakerThreshold = utils.orByFalseyProp("circuitBreakerThreshold", config, ret, defaultConfig);
+        ret.circuitBreakerThreshold = utils.validateNonNegativeInt(ret.circuitBreakerThreshold, "Circuit breaker threshold");
+        ret.circuitBreakerCooldown = utils.orByFalseyProp("circuitBreakerCooldown", config, ret, defaultConfig);
+        ret.circuitBreakerCooldown = utils.validateNonNegativeInt(ret.circuitBreakerCooldown, "Circuit breaker cooldown");
+        ret.circuitBreakerPolicy = utils.orByProp("circuitBreakerPolicy", config, ret, defaultConfig);
+        if (circuitBreakerPolicies.indexOf(ret.circuitBreakerPolicy) === -1) {
+            throw new Error("Circuit breaker policy must be one of " + circuitBreakerPolicies.join(", ") + ", found: " + ret.circuitBreakerPolicy);
+        }
+
         ret.maxRetries = utils.orByProp("maxRetries", config, ret, defaultConfig);
         ret.maxRetries = utils.validateNonNegativeInt(ret.maxRetries, "Max retries");
+        ret.retryBaseDelay = utils.orByFalseyProp("retryBaseDelay", config, ret, defaultConfig);
+        ret.retryBaseDelay = utils.validateNonNegativeInt(ret.retryBaseDelay, "Retry base delay");
+        ret.retryMaxDelay = utils.orByFalseyProp("retryMaxDelay", config, ret, defaultConfig);
+        ret.retryMaxDelay = utils.validateNonNegativeInt(ret.retryMaxDelay, "Retry max delay");
+        ret.retryMultiplier = parseFloat(utils.orByFalseyProp("retryMultiplier", config, ret, defaultConfig));
+        if (isNaN(ret.retryMultiplier) || ret.retryMultiplier < 1) {
+            throw new Error("Retry multiplier must be a number of at least 1, found: " + ret.retryMultiplier);
+        }
+        ret.retryJitter = utils.orByFalseyProp("retryJitter", config, ret, defaultConfig);
+        if (ret.retryJitter && retryJitters.indexOf(ret.retryJitter) === -1) {
+            throw new Error("Retry jitter must be one of " + retryJitters.join(", ") + ", found: " + ret.retryJitter);
+        }
+        ret.retryBudget = utils.orByFalseyProp("retryBudget", config, ret, defaultConfig);
+        ret.retryBudget = utils.validateNonNegativeInt(ret.retryBudget, "Retry budget");
+        ret.retryableCodes = _parseCodes(utils.orByProp("retryableCodes", config, ret, defaultConfig), "Retryable codes");
+        ret.retryableStatuses = _parseCodes(utils.orByProp("retryableStatuses", config, ret, defaultConfig), "Retryable statuses");
 
         // Batching settings
         ret.maxBatchCount = utils.orByFalseyProp("maxBatchCount", config, ret, defaultConfig);
@@ -270,18 +1125,110 @@ SplunkLogger.prototype._initializeConfig = function(config) {
         ret.maxBatchSize = utils.validateNonNegativeInt(ret.maxBatchSize, "Max batch size");
         ret.batchInterval = utils.orByFalseyProp("batchInterval", config, ret, defaultConfig);
         ret.batchInterval = utils.validateNonNegativeInt(ret.batchInterval, "Batch interval");
+        ret.linger = utils.orByFalseyProp("linger", config, ret, defaultConfig);
+        ret.maxEventAge = utils.orByFalseyProp("maxEventAge", config, ret, defaultConfig);
+        ret.maxEventAge = utils.validateNonNegativeInt(ret.maxEventAge, "Max event age");
+        ret.lanes = _parseLanes(utils.orByProp("lanes", config, ret, defaultConfig));
+
+        // Concurrency settings
+        ret.maxInFlight = utils.orByFalseyProp("maxInFlight", config, ret, defaultConfig);
+        ret.maxInFlight = utils.validateNonNegativeInt(ret.maxInFlight, "Max in flight");
+        ret.ordered = utils.orByFalseyProp("ordered", config, ret, defaultConfig);
+
+        // Queue limits
+        ret.highWaterMark = utils.orByFalseyProp("highWaterMark", config, ret, defaultConfig);
+        ret.highWaterMark = utils.validateNonNegativeInt(ret.highWaterMark, "High water mark");
+        ret.closeTimeout = utils.orByFalseyProp("closeTimeout", config, ret, defaultConfig);
+        ret.closeTimeout = utils.validateNonNegativeInt(ret.closeTimeout, "Close timeout");
+        ret.maxQueueCount = utils.orByFalseyProp("maxQueueCount", config, ret, defaultConfig);
+        ret.maxQueueCount = utils.validateNonNegativeInt(ret.maxQueueCount, "Max queue count");
+        ret.maxQueueBytes = utils.orByFalseyProp("maxQueueBytes", config, ret, defaultConfig);
+        ret.maxQueueBytes = utils.validateNonNegativeInt(ret.maxQueueBytes, "Max queue bytes");
+        ret.queueOverflow = utils.orByProp("queueOverflow", config, ret, defaultConfig);
+        if (queueOverflowPolicies.indexOf(ret.queueOverflow) === -1) {
+            throw new Error("Queue overflow must be one of " + queueOverflowPolicies.join(", ") + ", found: " + ret.queueOverflow);
+        }
+
+        // Deduplication settings
+        ret.dedupWindow = utils.orByFalseyProp("dedupWindow", config, ret, defaultConfig);
+        ret.dedupWindow = utils.validateNonNegativeInt(ret.dedupWindow, "Dedup window");
+        ret.dedupFingerprint = utils.orByProp("dedupFingerprint", config, ret, defaultConfig);
+        if (ret.dedupFingerprint && typeof ret.dedupFingerprint !== "function") {
+            throw new Error("Dedup fingerprint must be a function.");
+        }
+
+        // Connection settings
+        ret.keepAlive = utils.orByFalseyProp("keepAlive", config, ret, defaultConfig);
+        ret.maxSockets = utils.orByFalseyProp("maxSockets", config, ret, defaultConfig);
+        ret.maxSockets = utils.validateNonNegativeInt(ret.maxSockets, "Max sockets");
+        ret.timeout = utils.orByFalseyProp("timeout", config, ret, defaultConfig);
+        ret.timeout = utils.validateNonNegativeInt(ret.timeout, "Timeout");
+
+        ret.transport = utils.orByProp("transport", config, ret);
+        if (!ret.transport) {
+            ret.transport = new HttpTransport({
+                keepAlive: ret.keepAlive,
+                maxSockets: ret.maxSockets,
+                timeout: ret.timeout
+            });
+        }
+        else if (typeof ret.transport !== "object" || typeof ret.transport.send !== "function") {
+            throw new Error("Transport must be an object with a send function.");
+        }
+
+        ret.deadLetter = utils.orByProp("deadLetter", config, ret, defaultConfig);
+        if (typeof ret.deadLetter === "function") {
+            ret.deadLetter = new CallbackDeadLetterSink({callback: ret.deadLetter});
+        }
+        else if (ret.deadLetter && (typeof ret.deadLetter !== "object" || typeof ret.deadLetter.write !== "function")) {
+            throw new Error("Dead letter sink must be a function, or an object with a write function.");
+        }
+
+        ret.compression = utils.orByFalseyProp("compression", config, ret, defaultConfig);
+        if (ret.compression && ret.compression !== "gzip" && ret.compression !== "deflate") {
+            throw new Error("Compression must be gzip or deflate, found: " + ret.compression);
+        }
+        ret.compressedBatchSize = utils.orByFalseyProp("compressedBatchSize", config, ret, defaultConfig);
+
+        // Indexer acknowledgement settings
+        ret.ack = utils.orByFalseyProp("ack", config, ret, defaultConfig);
+        ret.ackPath = utils.orByProp("ackPath", config, ret, defaultConfig);
+        ret.ackInterval = utils.orByFalseyProp("ackInterval", config, ret, defaultConfig);
+        ret.ackInterval = utils.validateNonNegativeInt(ret.ackInterval, "Ack interval");
+        ret.ackTimeout = utils.orByFalseyProp("ackTimeout", config, ret, defaultConfig);
+        ret.ackTimeout = utils.validateNonNegativeInt(ret.ackTimeout, "Ack timeout");
+        ret.channel = utils.orByProp("channel", config, ret);
+        if (ret.channel && typeof ret.channel !== "string") {
+            throw new Error("Channel must be a string.");
+        }
+        else if (!ret.channel && (ret.ack || ret.mode === "raw")) {
+            ret.channel = utils.guid();
+        }
+
+        // Durable queue settings
+        ret.queueDir = utils.orByProp("queueDir", config, ret, defaultConfig);
+        if (ret.queueDir && typeof ret.queueDir !== "string") {
+            throw new Error("Queue directory must be a string.");
+        }
+        ret.queueMaxSize = utils.orByFalseyProp("queueMaxSize", config, ret, defaultConfig);
+        ret.queueMaxSize = utils.validateNonNegativeInt(ret.queueMaxSize, "Max queue size");
 
-        // Has the interval timer not started, and needs to be started?
-        var startTimer = !this._timerID && ret.batchInterval > 0;
+        ret.metadata = utils.orByProp("metadata", config, ret);
+        if (ret.metadata && typeof ret.metadata !== "object") {
+            throw new Error("Metadata must be an object.");
+        }
+
+        // Has the interval timer not started, and needs to be started? Never after close(), or with linger
+        var startTimer = !this._timerID && ret.batchInterval > 0 && !ret.linger && !this._closing;
         // Has the interval timer already started, and the interval changed to a different duration?
-        var changeTimer = this._timerID && this._timerDuration !== ret.batchInterval && ret.batchInterval > 0;
+        var changeTimer = this._timerID && this._timerDuration !== ret.batchInterval && ret.batchInterval > 0 && !ret.linger;
         
         // Enable the timer
         if (startTimer || changeTimer) {
             this._enableTimer(ret.batchInterval);
         }
         // Disable timer - there is currently a timer, but config says we no longer need a timer
-        else if (this._timerID && (ret.batchInterval <= 0 || this._timerDuration < 0)) {
+        else if (this._timerID && (ret.batchInterval <= 0 || this._timerDuration < 0 || ret.linger)) {
             this._disableTimer();
         }
     }
@@ -292,8 +1239,7 @@ SplunkLogger.prototype._initializeConfig = function(config) {
  * Initializes request options.
  *
  * @param {object} config
- * @param {object} options - Options to pass to <code>{@link https://github.com/request/request#requestpost|request.post()}</code>.
- * See the {@link http://github.com/request/request|request documentation} for all available options.
+ * @param {object} options - Options to pass to [HttpTransport.post()]{@link HttpTransport#post}.
  * @returns {object} requestOptions
  * @private
  */
@@ -305,7 +1251,8 @@ SplunkLogger.prototype._initializeRequestOptions = function(options) {
         ret.strictSSL = options.strictSSL || defaultRequestOptions.strictSSL;
     }
 
-    ret.headers = ret.headers || {};
+    // Copy the headers too, so setting a header for one request doesn't leak into others
+    ret.headers = utils.copyObject(ret.headers);
 
     return ret;
 };
@@ -399,96 +1346,1311 @@ SplunkLogger.prototype._makeBody = function(context) {
     body.time = time.toString();
     
     body.event = this.eventFormatter(context.message, context.severity || defaultConfig.level);
+
+    // Summaries of repeated events, see config.dedupWindow
+    if (context.repeat) {
+        body.fields = context.repeat;
+    }
     return body;
 };
 
 /**
- * Makes an HTTP POST to the configured server.
+ * Takes anything and formats it as a line of text for the raw Splunk HTTP Event Collector endpoint.
+ * Strings returned by <code>eventFormatter</code> are sent as is, anything else is sent as JSON.
  *
- * @param requestOptions
- * @param {function} callback = A callback function: <code>function(err, response, body)</code>.
+ * @param {object} context
+ * @returns {string}
  * @private
+ * @throws Will throw an error if the <code>context</code> parameter is malformed.
  */
-SplunkLogger.prototype._post = function(requestOptions, callback) {
-    request.post(requestOptions, callback);
-};
+SplunkLogger.prototype._makeRawBody = function(context) {
+    if (!context) {
+        throw new Error("Context parameter is required.");
+    }
 
-/**
- * Sends events to Splunk Enterprise or Splunk Cloud, optionally with retries on non-Splunk errors.
- *
- * @param context
- * @param {function} callback - A callback function: <code>function(err, response, body)</code>
+    var event = this.eventFormatter(context.message, context.severity || defaultConfig.level);
+    if (typeof event !== "string") {
+        event = JSON.stringify(event);
+    }
+
+    // Events are newline delimited, so Splunk can break them apart
+    if (event.charAt(event.length - 1) !== "\n") {
+        event += "\n";
+    }
+    return event;
+};
+
+/**
+ * Serializes a context for <code>this.serializedContextQueue</code>,
+ * in the format expected by the configured endpoint.
+ *
+ * @param {object} context
+ * @returns {string}
+ * @private
+ */
+SplunkLogger.prototype._serializeEvent = function(context) {
+    if (this.config.mode === "raw") {
+        return this._makeRawBody(context);
+    }
+    return JSON.stringify(this._makeBody(context));
+};
+
+/**
+ * Builds the URL for a path on the configured server.
+ *
+ * @param {string} path - URL path on the Splunk Enterprise or Splunk Cloud server.
+ * @param {object} [query] - Query parameters to add to the URL.
+ * @param {string} [endpoint] - Base URL of the endpoint to use, instead of the configured server.
+ * @returns {string} url
+ * @private
+ */
+SplunkLogger.prototype._makeUrl = function(path, query, endpoint) {
+    var ret = (endpoint || this.config.protocol + "://" + this.config.host + ":" + this.config.port) + path;
+    if (query && Object.keys(query).length > 0) {
+        ret += (path.indexOf("?") === -1 ? "?" : "&") + querystring.stringify(query);
+    }
+    return ret;
+};
+
+/**
+ * Makes an HTTP POST to the configured server, through <code>config.transport</code>.
+ *
+ * @param requestOptions
+ * @param {function} callback = A callback function: <code>function(err, response, body)</code>.
+ * @private
+ */
+SplunkLogger.prototype._post = function(requestOptions, callback) {
+    var meta = utils.copyObject(requestOptions);
+    delete meta.body;
+    // The headers change when the request is sent again, keep these ones with the request
+    meta.headers = utils.copyObject(requestOptions.headers || {});
+    this.config.transport.send(requestOptions.body, meta, callback);
+};
+
+/**
+ * Gets the base URLs of the configured HTTP Event Collector endpoints, in order of preference.
+ *
+ * @returns {string[]}
+ * @private
+ */
+SplunkLogger.prototype._getEndpoints = function() {
+    if (this.config.endpoints) {
+        return this.config.endpoints;
+    }
+    return [this.config.protocol + "://" + this.config.host + ":" + this.config.port];
+};
+
+/**
+ * Gets the health tracking state for an endpoint, creating it if needed.
+ *
+ * @param {string} endpoint - Base URL of the endpoint.
+ * @returns {object} state
+ * @private
+ */
+SplunkLogger.prototype._getEndpointState = function(endpoint) {
+    if (!this._endpointState.hasOwnProperty(endpoint)) {
+        this._endpointState[endpoint] = {
+            healthy: true,
+            failures: 0,
+            probeAt: 0,
+            inFlight: 0
+        };
+    }
+    return this._endpointState[endpoint];
+};
+
+/**
+ * Returns <code>true</code> if an endpoint is healthy, or has been unhealthy
+ * for long enough that it should be probed again.
+ *
+ * @param {string} endpoint - Base URL of the endpoint.
+ * @returns {boolean}
+ * @private
+ */
+SplunkLogger.prototype._isEndpointAvailable = function(endpoint) {
+    var state = this._getEndpointState(endpoint);
+    return state.healthy || Date.now() >= state.probeAt;
+};
+
+/**
+ * Picks the endpoint to send the next request to, according to <code>config.endpointPolicy</code>.
+ *
+ * @param {string[]} tried - Endpoints that already failed to receive this batch of events.
+ * @returns {string|null} Base URL of the endpoint, or <code>null</code> if no endpoints are left to try.
+ * @private
+ */
+SplunkLogger.prototype._selectEndpoint = function(tried) {
+    var endpoints = this._getEndpoints();
+
+    // Round robin: start looking from the endpoint after the last one picked
+    if (this.config.endpointPolicy === "roundRobin") {
+        var start = this._nextEndpoint % endpoints.length;
+        endpoints = endpoints.slice(start).concat(endpoints.slice(0, start));
+    }
+
+    var untried = endpoints.filter(function(endpoint) {
+        return tried.indexOf(endpoint) === -1;
+    });
+    var available = untried.filter(this._isEndpointAvailable);
+
+    // Always send the first attempt somewhere, even if every endpoint is unhealthy
+    if (available.length === 0 && tried.length === 0) {
+        available = untried;
+    }
+    if (available.length === 0) {
+        return null;
+    }
+
+    var ret = available[0];
+    if (this.config.endpointPolicy === "roundRobin") {
+        this._nextEndpoint = this._getEndpoints().indexOf(ret) + 1;
+    }
+    else if (this.config.endpointPolicy === "leastInFlight") {
+        var that = this;
+        available.forEach(function(endpoint) {
+            if (that._getEndpointState(endpoint).inFlight < that._getEndpointState(ret).inFlight) {
+                ret = endpoint;
+            }
+        });
+    }
+    // Otherwise fail over, preferring endpoints in the order they were configured
+    return ret;
+};
+
+/**
+ * Records the outcome of a request to an endpoint. A failed endpoint is
+ * marked unhealthy, and won't be used again until <code>config.probeInterval</code> passes.
+ *
+ * @param {string} endpoint - Base URL of the endpoint.
+ * @param {boolean} success - Whether the request reached the endpoint.
+ * @private
+ */
+SplunkLogger.prototype._updateEndpointHealth = function(endpoint, success) {
+    var state = this._getEndpointState(endpoint);
+    if (success) {
+        state.healthy = true;
+        state.failures = 0;
+    }
+    else {
+        state.healthy = false;
+        state.failures++;
+        state.probeAt = Date.now() + this.config.probeInterval;
+    }
+};
+
+/**
+ * Changes the state of the circuit breaker, notifying <code>this.onCircuitStateChange</code>.
+ *
+ * @param {string} state - <code>closed</code>, <code>open</code>, or <code>half-open</code>.
+ * @private
+ */
+SplunkLogger.prototype._setCircuitState = function(state) {
+    var circuit = this._circuit;
+    var previous = circuit.state;
+    if (state === previous) {
+        return;
+    }
+    circuit.state = state;
+
+    if (circuit.timerID) {
+        clearTimeout(circuit.timerID);
+        circuit.timerID = null;
+    }
+    if (state === "open") {
+        // After cooling down, probe with the oldest queued batch, if there is one
+        var that = this;
+        circuit.timerID = setTimeout(function() {
+            circuit.timerID = null;
+            if (circuit.queue.length > 0) {
+                var queued = circuit.queue.shift();
+                that._sendEvents(queued.context, queued.callback);
+            }
+        }, this.config.circuitBreakerCooldown);
+        _unref(circuit.timerID);
+    }
+
+    this.onCircuitStateChange(state, previous);
+};
+
+/**
+ * Decides whether a batch of events can be sent, according to the circuit breaker.
+ * If the circuit breaker is open, the batch is queued or dropped according to <code>config.circuitBreakerPolicy</code>.
+ * Once the cooldown has passed, the circuit breaker is half-open and lets a single batch through.
+ *
+ * @param {object} context - The <code>context</code> of the batch of events.
+ * @param {function} callback - A callback function: <code>function(err, response, body)</code>.
+ * @returns {boolean} <code>true</code> if the batch can be sent now.
+ * @private
+ */
+SplunkLogger.prototype._circuitAllows = function(context, callback) {
+    var circuit = this._circuit;
+    if (circuit.state === "closed") {
+        return true;
+    }
+
+    var cooledDown = circuit.state === "open" && !circuit.timerID;
+    if (cooledDown || (circuit.state === "half-open" && !circuit.probing)) {
+        this._setCircuitState("half-open");
+        circuit.probing = true;
+        return true;
+    }
+
+    if (this.config.circuitBreakerPolicy === "drop") {
+        var err = new Error("Circuit breaker is open, events were dropped.");
+        this._giveUp("circuitOpen", err, context, context.contexts || [context]);
+        callback(err);
+    }
+    else {
+        circuit.queue.push({context: context, callback: callback, size: Buffer.byteLength(context.message, "utf8")});
+    }
+    return false;
+};
+
+/**
+ * Records whether a batch of events reached Splunk Enterprise or Splunk Cloud,
+ * opening or closing the circuit breaker as needed.
+ *
+ * @param {boolean} success - Whether the batch reached a healthy endpoint.
+ * @private
+ */
+SplunkLogger.prototype._recordCircuitResult = function(success) {
+    var circuit = this._circuit;
+    var probe = circuit.state === "half-open";
+    circuit.probing = false;
+
+    if (success) {
+        circuit.failures = 0;
+        if (circuit.state !== "closed") {
+            this._setCircuitState("closed");
+
+            // Send everything held back while the circuit breaker was open,
+            // after the successful batch has called back
+            var queue = circuit.queue;
+            circuit.queue = [];
+            var that = this;
+            process.nextTick(function() {
+                for (var i = 0; i < queue.length; i++) {
+                    that._sendEvents(queue[i].context, queue[i].callback);
+                }
+            });
+        }
+    }
+    else {
+        circuit.failures++;
+        var threshold = this.config.circuitBreakerThreshold;
+        if (probe || (threshold > 0 && circuit.failures >= threshold)) {
+            this._setCircuitState("open");
+        }
+    }
+};
+
+/**
+ * Sends events to Splunk Enterprise or Splunk Cloud, optionally with retries on non-Splunk errors,
+ * and on the responses in <code>config.retryableCodes</code> and <code>config.retryableStatuses</code>.
+ * If an endpoint still can't be reached, or is still busy, after retrying, the events are sent to the next endpoint.
+ * Gives up once <code>config.retryBudget</code> runs out, or the deadline for <code>close()</code> passes. Nothing is sent while the circuit breaker is open.
+ * If the server responds with <code>413 Payload Too Large</code>, a batch with <code>context.events</code> is split and sent again,
+ * as is a batch whose compressed size is over <code>context.maxBatchSize</code>, with <code>config.compressedBatchSize</code>.
+ * If the server can't parse one of the events in <code>context.events</code>, the events after it are sent again.
+ *
+ * @param context
+ * @param {function} callback - A callback function: <code>function(err, response, body, results)</code>.
+ * The endpoint the events were sent to is set as the <code>endpoint</code> property of <code>err</code> or <code>response</code>.
+ * <code>results</code> is only set if the server couldn't parse some of the events, mapping an index in <code>context.events</code>
+ * to an object with the <code>response</code> and <code>body</code> for that event, such as a [SplunkError]{@link SplunkError}
+ * for an event the server couldn't parse. The other arguments are for the rest of the events.
+ * @private
+ */
+SplunkLogger.prototype._sendEvents = function(context, callback) {
+    callback = callback || /* istanbul ignore next*/ function(){};
+
+    // Initialize the config once more to avoid undefined vals below
+    this.config = this._initializeConfig(this.config);
+
+    if (!this._circuitAllows(context, callback)) {
+        return;
+    }
+
+    // Makes a copy of the request options so we can set the body
+    var requestOptions = this._initializeRequestOptions(this.requestOptions);
+    requestOptions.body = this._validateMessage(context.message);
+    requestOptions.headers["Authorization"] = "Splunk " + this.config.token;
+    // Manually set the content-type header, the body is a string
+    // of concatenated JSON objects rather than a single JSON document.
+    requestOptions.headers["Content-Type"] = "application/x-www-form-urlencoded";
+    if (this.config.channel) {
+        requestOptions.headers["X-Splunk-Request-Channel"] = this.config.channel;
+    }
+    // The raw endpoint takes metadata for the whole request as query parameters
+    var query = null;
+    if (this.config.mode === "raw") {
+        query = this._initializeMetadata({metadata: this.config.metadata || {}});
+        delete query.time;
+        if (this.config.channel) {
+            query.channel = this.config.channel;
+        }
+    }
+
+    // Initialize the context again, right before using it
+    context = this._initializeContext(context);
+
+    var that = this;
+
+    var splunkError = null; // Errors returned by Splunk Enterprise or Splunk Cloud
+    var requestError = null; // Any non-Splunk errors
+    var busy = false; // Whether the server is too busy to take the events, or is throttling them
+
+    // References so we don't have to deal with callback parameters
+    var _response = null;
+    var _body = null;
+
+    var numRetries = 0;
+
+    // Endpoints this batch has failed to reach
+    var tried = [];
+
+    // When this batch was first sent, and the last delay between retries
+    var started = Date.now();
+    var lastDelay = 0;
+    var attempts = 0;
+    var outOfBudget = function(delay) {
+        var retryAt = Date.now() + delay;
+        var closeDeadline = that._closing ? that._closing.deadline : 0;
+        return (that.config.retryBudget > 0 && retryAt - started > that.config.retryBudget) ||
+            (closeDeadline > 0 && retryAt > closeDeadline);
+    };
+
+    // Keep the uncompressed body around, in case the server rejects compressed requests
+    var uncompressedBody = requestOptions.body;
+    var batchSize = Buffer.byteLength(uncompressedBody, "utf8");
+    var compression = this._compressionRejected ? null : this.config.compression;
+    var fellBack = false;
+
+    var attempt = function(endpoint) {
+        requestOptions.url = that._makeUrl(that.config.path, query, endpoint);
+        numRetries = 0;
+        that._getEndpointState(endpoint).inFlight++;
+
+        utils.whilst(
+            function() {
+                // Continue if we can (re)try
+                return numRetries++ <= that.config.maxRetries;
+            },
+            function(done) {
+                attempts++;
+                that._post(requestOptions, function(err, resp, body) {
+                    // Store the latest error, response & body
+                    splunkError = null;
+                    requestError = err;
+                    busy = false;
+                    _response = resp;
+                    _body = body;
+
+                    // Send again uncompressed if the server rejects the compressed body, without counting it as a retry.
+                    // HTTP Event Collector also responds with 400 to errors in the events themselves, with a code.
+                    var hecError = body && typeof body === "object" && body.hasOwnProperty("code");
+                    if (compression && !err && resp && (resp.statusCode === 415 || (resp.statusCode === 400 && !hecError))) {
+                        compression = null;
+                        fellBack = true;
+                        requestOptions.body = uncompressedBody;
+                        delete requestOptions.headers["Content-Encoding"];
+                        numRetries--;
+                        done();
+                        return;
+                    }
+
+                    // Try to parse an error response from Splunk Enterprise or Splunk Cloud,
+                    // or any other response that isn't a success, such as a proxy's error page
+                    if (!requestError) {
+                        splunkError = SplunkError.fromResponse(null, resp, body);
+                    }
+
+                    // Is the server busy, or throttling requests?
+                    if (splunkError && resp) {
+                        var busyCode = that.config.retryableCodes.indexOf(parseInt(splunkError.code, 10)) !== -1;
+                        var busyStatus = that.config.retryableStatuses.indexOf(resp.statusCode) !== -1;
+                        busy = busyCode || busyStatus;
+                    }
+
+                    // Retry on a non-Splunk error or a busy server, if numRetries hasn't exceeded the limit
+                    if ((requestError || busy) && numRetries <= that.config.maxRetries) {
+                        // Prefer waiting as long as the server asks, if it does
+                        var delay = busy && resp.headers ? utils.parseRetryAfter(resp.headers["retry-after"]) : null;
+                        if (delay === null) {
+                            delay = utils.backoffDelay({
+                                attempt: numRetries,
+                                base: that.config.retryBaseDelay,
+                                max: that.config.retryMaxDelay,
+                                multiplier: that.config.retryMultiplier,
+                                jitter: that.config.retryJitter,
+                                previous: lastDelay
+                            });
+                        }
+
+                        if (outOfBudget(delay)) {
+                            done(true);
+                            return;
+                        }
+                        lastDelay = delay;
+                        that.onRetry(requestError || splunkError, context, {
+                            attempt: numRetries,
+                            delay: delay,
+                            endpoint: endpoint
+                        });
+                        that.emit("retry", {
+                            error: requestError || splunkError,
+                            count: context.count,
+                            size: batchSize,
+                            attempt: numRetries,
+                            delay: delay,
+                            endpoint: endpoint
+                        });
+                        setTimeout(done, delay);
+                    }
+                    else {
+                        // Stop iterating
+                        done(true);
+                    }
+                });
+            },
+            function() {
+                // The endpoint may have been removed, and added back, while the request was in progress
+                var state = that._getEndpointState(endpoint);
+                state.inFlight = Math.max(0, state.inFlight - 1);
+                that._updateEndpointHealth(endpoint, !requestError);
+
+                // Fail over to the next endpoint, if there is one
+                if ((requestError || busy) && !outOfBudget(0)) {
+                    tried.push(endpoint);
+                    var next = that._selectEndpoint(tried);
+                    if (next) {
+                        attempt(next);
+                        return;
+                    }
+                }
+
+                // Split the batch in half and send each half, if it's too large for the server
+                if (!requestError && _response && _response.statusCode === 413 && context.events && context.events.length > 1) {
+                    that._recordCircuitResult(true);
+                    that._sendSplit(context, callback);
+                    return;
+                }
+
+                // Send the events after the one the server couldn't parse again, if it says which one
+                var invalidEvent = _invalidEventNumber(_body, context);
+                if (!requestError && splunkError && invalidEvent !== null) {
+                    that._recordCircuitResult(true);
+                    if (_response) {
+                        _response.endpoint = endpoint;
+                    }
+                    // The events before the invalid one were indexed
+                    if (invalidEvent > 0) {
+                        that.emit("sent", {
+                            count: invalidEvent,
+                            size: Buffer.byteLength(context.events.slice(0, invalidEvent).join(""), "utf8"),
+                            attempts: attempts,
+                            latency: Date.now() - started,
+                            endpoint: endpoint,
+                            response: _response,
+                            body: _body
+                        });
+                    }
+                    that._sendWithout(context, invalidEvent, splunkError, attempts, callback);
+                    return;
+                }
+
+                // Errors in the events themselves don't count against the server, responses without a HEC code do
+                that._recordCircuitResult(!requestError && !busy && !(splunkError && splunkError.code === null));
+
+                // The server only accepts uncompressed requests, stop compressing them
+                if (fellBack && !requestError && !splunkError) {
+                    that._compressionRejected = true;
+                }
+
+                // Report which endpoint the events went to
+                if (requestError) {
+                    requestError.endpoint = endpoint;
+                }
+                else if (_response) {
+                    _response.endpoint = endpoint;
+                }
+
+                // Call error() for a request error or Splunk error
+                if (requestError || splunkError) {
+                    that._giveUp("failed", requestError || splunkError, context, context.contexts || [context], attempts);
+                }
+                else {
+                    that.emit("sent", {
+                        count: context.count,
+                        size: batchSize,
+                        attempts: attempts,
+                        latency: Date.now() - started,
+                        endpoint: endpoint,
+                        response: _response,
+                        body: _body
+                    });
+                }
+
+                // With indexer acknowledgement, hold on to the callback until the events are indexed
+                if (!requestError && !splunkError && that.config.ack && _body && _body.hasOwnProperty("ackId")) {
+                    that._waitForAck(endpoint, _body.ackId, context, _response, _body, callback);
+                }
+                else {
+                    callback(requestError, _response, _body);
+                }
+            }
+        );
+    };
+
+    utils.compress(compression, uncompressedBody, function(err, compressed) {
+        if (err) {
+            // Send uncompressed if compression fails for any reason
+            compression = null;
+        }
+        else if (compression) {
+            that._compressionRatio = compressed.length / Math.max(1, batchSize);
+
+            // The compressed size was only estimated when the batch was flushed
+            var maxBatchSize = context.maxBatchSize;
+            if (that.config.compressedBatchSize && maxBatchSize > 0 && compressed.length > maxBatchSize &&
+                context.events && context.events.length > 1) {
+                // Let the halves probe the circuit breaker instead, if this batch was going to
+                that._circuit.probing = false;
+                that._sendSplit(context, callback);
+                return;
+            }
+            requestOptions.body = compressed;
+            requestOptions.headers["Content-Encoding"] = compression;
+        }
+
+        attempt(that._selectEndpoint(tried));
+    });
+};
+
+/**
+ * Sends each half of a batch of events, in order, when the whole batch is too large for the server.
+ * Halves that are still too large are split again.
+ *
+ * @param {object} context - The batch of events, with the serialized events in <code>context.events</code>.
+ * @param {function} callback - A callback function: <code>function(err, response, body, results)</code>, called once
+ * both halves have been sent, with the first failure, if any, and the results for events the server couldn't parse.
+ * @private
+ */
+SplunkLogger.prototype._sendSplit = function(context, callback) {
+    var middle = Math.ceil(context.events.length / 2);
+    var makeHalf = function(start, end) {
+        return _subBatch(context, context.events.slice(start, end), context.contexts ? context.contexts.slice(start, end) : undefined);
+    };
+
+    var that = this;
+    this._sendEvents(makeHalf(0, middle), function(err, resp, body, results) {
+        var first = [err, resp, body];
+        var allResults = null;
+        var addResults = function(some, offset) {
+            Object.keys(some || {}).forEach(function(index) {
+                allResults = allResults || {};
+                allResults[parseInt(index, 10) + offset] = some[index];
+            });
+        };
+        addResults(results, 0);
+
+        that._sendEvents(makeHalf(middle), function(err, resp, body, results) {
+            addResults(results, middle);
+            if (!_isDelivered(first[0], first[1], first[2])) {
+                callback(first[0], first[1], first[2], allResults);
+            }
+            else {
+                callback(err, resp, body, allResults);
+            }
+        });
+    });
+};
+
+/**
+ * Gives up on an event that the server couldn't parse, and sends the events after it again.
+ * HTTP Event Collector has already indexed the events before it.
+ *
+ * @param {object} context - The batch of events, with the serialized events in <code>context.events</code>.
+ * @param {number} index - Index of the event in <code>context.events</code>.
+ * @param {SplunkError} err - The error returned for the batch.
+ * @param {number} attempts - How many times the batch was sent.
+ * @param {function} callback - A callback function: <code>function(err, response, body, results)</code>,
+ * called once the events after the invalid one have been sent.
+ * @private
+ */
+SplunkLogger.prototype._sendWithout = function(context, index, err, attempts, callback) {
+    var eventContext = context.contexts ? context.contexts[index] : {message: context.events[index]};
+    this._giveUp("failed", err, eventContext, [eventContext], attempts);
+
+    // The events before the invalid one get a successful response, as if they had been sent on their own
+    var accepted = {text: "Success", code: 0};
+    var acceptedResponse = {
+        statusCode: 200,
+        headers: {},
+        body: accepted,
+        endpoint: err.response ? err.response.endpoint : undefined
+    };
+    var results = {};
+    for (var i = 0; i < index; i++) {
+        results[i] = {response: acceptedResponse, body: accepted};
+    }
+    results[index] = err;
+
+    if (index === context.events.length - 1) {
+        callback(null, acceptedResponse, accepted, results);
+        return;
+    }
+
+    var after = function(list) {
+        return list ? list.slice(index + 1) : undefined;
+    };
+    this._sendEvents(_subBatch(context, after(context.events), after(context.contexts)), function(restErr, resp, body, restResults) {
+        // Map the rest of the batch back to the original indexes
+        Object.keys(restResults || {}).forEach(function(key) {
+            results[parseInt(key, 10) + index + 1] = restResults[key];
+        });
+        callback(restErr, resp, body, results);
+    });
+};
+
+/**
+ * Holds on to a sent batch of events until Splunk Enterprise or Splunk Cloud
+ * confirms they have been indexed, or <code>config.ackTimeout</code> passes.
+ *
+ * @param {string} endpoint - Base URL of the endpoint the events were sent to.
+ * @param {number} ackId - The <code>ackId</code> returned by HTTP Event Collector.
+ * @param {object} context - The <code>context</code> that was sent.
+ * @param {object} response - The response to the HTTP POST that sent <code>context</code>.
+ * @param {object} body - The body of <code>response</code>.
+ * @param {function} callback - A callback function: <code>function(err, response, body)</code>.
+ * @private
+ */
+SplunkLogger.prototype._waitForAck = function(endpoint, ackId, context, response, body, callback) {
+    // Each endpoint has its own sequence of ackIds
+    this._pendingAcks[endpoint + " " + ackId] = {
+        endpoint: endpoint,
+        ackId: ackId,
+        context: context,
+        response: response,
+        body: body,
+        callback: callback,
+        expires: Date.now() + this.config.ackTimeout
+    };
+    this._scheduleAckPoll();
+};
+
+/**
+ * Schedules the next poll for indexer acknowledgement, if any
+ * acknowledgements are pending and a poll isn't already scheduled.
+ *
+ * @private
+ */
+SplunkLogger.prototype._scheduleAckPoll = function() {
+    if (this._ackTimerID || Object.keys(this._pendingAcks).length === 0) {
+        return;
+    }
+
+    var that = this;
+    this._ackTimerID = setTimeout(function() {
+        that._ackTimerID = null;
+        that._pollAcks();
+    }, this.config.ackInterval);
+};
+
+/**
+ * Asks each HTTP Event Collector endpoint which pending batches have been indexed.
+ * Calls back for each indexed batch, and sends any batch whose
+ * acknowledgement has timed out again.
+ *
+ * @private
+ */
+SplunkLogger.prototype._pollAcks = function() {
+    var that = this;
+
+    // Group the pending acknowledgements by endpoint
+    var byEndpoint = {};
+    Object.keys(this._pendingAcks).forEach(function(key) {
+        var endpoint = that._pendingAcks[key].endpoint;
+        byEndpoint[endpoint] = byEndpoint[endpoint] || [];
+        byEndpoint[endpoint].push(key);
+    });
+
+    var endpoints = Object.keys(byEndpoint);
+    var remaining = endpoints.length;
+
+    endpoints.forEach(function(endpoint) {
+        var keys = byEndpoint[endpoint];
+
+        var requestOptions = that._initializeRequestOptions(that.requestOptions);
+        requestOptions.json = true;
+        requestOptions.body = {
+            acks: keys.map(function(key) {
+                return that._pendingAcks[key].ackId;
+            })
+        };
+        requestOptions.headers["Authorization"] = "Splunk " + that.config.token;
+        requestOptions.headers["X-Splunk-Request-Channel"] = that.config.channel;
+        requestOptions.url = that._makeUrl(that.config.ackPath, null, endpoint);
+
+        that._post(requestOptions, function(err, resp, body) {
+            var acks = (!err && body && body.acks) || {};
+            var now = Date.now();
+
+            keys.forEach(function(key) {
+                var pending = that._pendingAcks[key];
+                if (!pending) {
+                    return;
+                }
+                else if (acks[pending.ackId] === true) {
+                    delete that._pendingAcks[key];
+                    pending.callback(null, pending.response, pending.body);
+                }
+                else if (now >= pending.expires) {
+                    // The events may never have been indexed, send them again
+                    delete that._pendingAcks[key];
+                    that._sendEvents(pending.context, pending.callback);
+                }
+            });
+
+            remaining--;
+            if (remaining === 0) {
+                that._scheduleAckPoll();
+            }
+        });
+    });
+};
+
+/**
+ * Sends the batches of events left in <code>config.queueDir</code> by an earlier <code>SplunkLogger</code>,
+ * removing each batch once it's sent.
+ *
+ * @param {object[]} batches - Batches read from [FileQueue.batches()]{@link FileQueue#batches}.
+ * @private
+ */
+SplunkLogger.prototype._replayBatches = function(batches) {
+    var that = this;
+    batches.forEach(function(batch) {
+        var data = batch.events.join("");
+        var context = {
+            message: data,
+            count: batch.events.length,
+            events: batch.events,
+            contexts: batch.events.map(function(event) {
+                return {message: event};
+            })
+        };
+        that._sendBatch(context, Buffer.byteLength(data, "utf8"), batch.id, function() {});
+    });
+};
+
+/**
+ * Adds an HTTP Event Collector endpoint to send events to. If <code>config.endpoints</code>
+ * isn't set, the configured server is kept as the first endpoint.
+ *
+ * @example
+ * logger.addEndpoint("https://hec3.splunk.local:8088");
+ *
+ * @param {string} endpoint - URL of the endpoint, any path is ignored.
+ * @throws Will throw an error if the <code>endpoint</code> parameter is malformed.
+ * @public
+ */
+SplunkLogger.prototype.addEndpoint = function(endpoint) {
+    var endpoints = this._getEndpoints();
+    var added = _parseEndpoints([endpoint], this.config)[0];
+    if (endpoints.indexOf(added) === -1) {
+        this.config = this._initializeConfig({endpoints: endpoints.concat([added])});
+    }
+};
+
+/**
+ * Removes an HTTP Event Collector endpoint, so no more events are sent to it.
+ * Requests already in progress are unaffected.
+ *
+ * @example
+ * logger.removeEndpoint("https://hec3.splunk.local:8088");
+ *
+ * @param {string} endpoint - URL of the endpoint, any path is ignored.
+ * @throws Will throw an error if <code>endpoint</code> is the only endpoint.
+ * @public
+ */
+SplunkLogger.prototype.removeEndpoint = function(endpoint) {
+    var removed = _parseEndpoints([endpoint], this.config)[0];
+    var endpoints = this._getEndpoints().filter(function(existing) {
+        return existing !== removed;
+    });
+
+    if (endpoints.length === 0) {
+        throw new Error("Cannot remove the only endpoint.");
+    }
+    this.config = this._initializeConfig({endpoints: endpoints});
+    delete this._endpointState[removed];
+};
+
+/**
+ * Gets the flushed batches of events that haven't been sent yet, oldest first: those held back
+ * by the circuit breaker, then those waiting for their turn. Each one has the batch's <code>context</code>,
+ * and its <code>size</code> in bytes.
+ *
+ * @returns {object[]}
+ * @private
+ */
+SplunkLogger.prototype._heldBatches = function() {
+    return this._circuit.queue.concat(this._waitingBatches);
+};
+
+/**
+ * Gives up on a batch from <code>this._heldBatches()</code>, taking it out of its queue,
+ * and calls back for its events with the error.
+ *
+ * @param {object} batch - The batch.
+ * @param {string} reason - Why the batch was given up on, such as <code>queueFull</code>.
+ * @param {Error} err - The error.
+ * @private
+ */
+SplunkLogger.prototype._dropHeldBatch = function(batch, reason, err) {
+    var index = this._circuit.queue.indexOf(batch);
+    if (index !== -1) {
+        this._circuit.queue.splice(index, 1);
+    }
+    else {
+        this._waitingBatches.splice(this._waitingBatches.indexOf(batch), 1);
+    }
+    this._giveUp(reason, err, batch.context, batch.context.contexts || [batch.context]);
+    // Batches held back by the circuit breaker were already being sent
+    (batch.fail || batch.callback)(err);
+};
+
+/**
+ * Makes room in <code>this.serializedContextQueue</code> for a new event, according to
+ * <code>config.maxQueueCount</code>, <code>config.maxQueueBytes</code>, and <code>config.queueOverflow</code>.
+ * Flushed batches that haven't been sent yet count towards the limits, and may be dropped as well.
+ *
+ * Calls back for each dropped event, with the error.
+ *
+ * @param {object} context - The <code>context</code> of the new event.
+ * @param {number} size - Size of the new event, serialized, in bytes.
+ * @param {function} [callback] - A callback function for the new event: <code>function(err, response, body)</code>.
+ * @returns {boolean} <code>false</code> if the new event was dropped or spilled, instead of making room for it.
+ * @private
+ */
+SplunkLogger.prototype._makeRoom = function(context, size, callback) {
+    var maxCount = this.config.maxQueueCount;
+    var maxBytes = this.config.maxQueueBytes;
+    var policy = this.config.queueOverflow;
+    if (maxCount <= 0 && maxBytes <= 0) {
+        return true;
+    }
+    var queue = null;
+    var meta = null;
+    var severityOf = function(i) {
+        return meta[i] ? meta[i].severity : defaultConfig.level;
+    };
+    var batchRank = function(batch) {
+        var rank = -1;
+        (batch.context.contexts || [batch.context]).forEach(function(event) {
+            rank = Math.max(rank, _severityRank(event.severity || defaultConfig.level));
+        });
+        return rank;
+    };
+
+    while (true) {
+        // Dropping an event calls back, which can flush, send, or hold other events
+        queue = this.serializedContextQueue;
+        meta = this._queueMeta;
+        var held = this._heldBatches();
+        var heldCount = 0;
+        var heldBytes = 0;
+        for (var h = 0; h < held.length; h++) {
+            heldCount += held[h].context.count;
+            heldBytes += held[h].size;
+        }
+        if (!(maxCount > 0 && heldCount + queue.length + 1 > maxCount) &&
+            !(maxBytes > 0 && heldBytes + this.eventsBatchSize + size > maxBytes)) {
+            break;
+        }
+
+        if (policy === "spill") {
+            this.onSpill(context);
+            if (callback) {
+                callback(new Error("Queue is full, the event was spilled."));
+            }
+            return false;
+        }
+
+        // Pick which held batch or queued event to drop, -1 for the new event
+        var batch = null;
+        var index = -1;
+        if (policy === "dropOldest") {
+            if (held.length > 0) {
+                batch = held[0];
+            }
+            else if (queue.length > 0) {
+                index = 0;
+            }
+        }
+        else if (policy === "dropLowestSeverity" && (held.length > 0 || queue.length > 0)) {
+            // The oldest held batch or queued event with the lowest severity
+            var lowest = Infinity;
+            for (var b = 0; b < held.length; b++) {
+                var rank = batchRank(held[b]);
+                if (rank < lowest) {
+                    lowest = rank;
+                    batch = held[b];
+                }
+            }
+            for (var i = 0; i < queue.length; i++) {
+                if (_severityRank(severityOf(i)) < lowest) {
+                    lowest = _severityRank(severityOf(i));
+                    batch = null;
+                    index = i;
+                }
+            }
+            // Unless the new event has an even lower severity
+            if (_severityRank(context.severity) < lowest) {
+                batch = null;
+                index = -1;
+            }
+        }
+
+        var err = new Error("Queue is full, dropped an event.");
+        if (batch) {
+            this.droppedEvents += batch.context.count;
+            err.droppedEvents = this.droppedEvents;
+            this._dropHeldBatch(batch, "queueFull", err);
+            continue;
+        }
+
+        var dropped = context;
+        var original = context;
+        var droppedCallback = callback;
+        if (index !== -1) {
+            dropped = {
+                message: queue[index],
+                severity: severityOf(index)
+            };
+            original = meta[index] && meta[index].context ? meta[index].context : dropped;
+            droppedCallback = meta[index] ? meta[index].callback : null;
+            this.eventsBatchSize -= meta[index] ? meta[index].size : Buffer.byteLength(queue[index], "utf8");
+            queue.splice(index, 1);
+            var removed = meta.splice(index, 1);
+            if (removed.length > 0) {
+                this._untrackEvent(removed[0]);
+            }
+        }
+
+        this.droppedEvents++;
+        err.droppedEvents = this.droppedEvents;
+        this._giveUp("queueFull", err, dropped, [original]);
+        if (droppedCallback) {
+            droppedCallback(err);
+        }
+
+        if (index === -1) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Returns <code>true</code> if fewer than <code>config.highWaterMark</code> bytes of events are queued or being sent.
+ *
+ * @returns {boolean}
  * @private
  */
-SplunkLogger.prototype._sendEvents = function(context, callback) {
-    callback = callback || /* istanbul ignore next*/ function(){};
+SplunkLogger.prototype._belowHighWaterMark = function() {
+    var highWaterMark = this.config.highWaterMark;
+    return highWaterMark <= 0 || this.eventsBatchSize + this._inFlightBytes < highWaterMark;
+};
 
-    // Initialize the config once more to avoid undefined vals below
-    this.config = this._initializeConfig(this.config);
+/**
+ * Gets how many events are queued, waiting to be flushed, and how many
+ * flushed batches of events are still being sent.
+ *
+ * @example
+ * var state = logger.queueState();
+ * console.log("Queued", state.queuedCount, "events,", state.queuedBytes, "bytes");
+ *
+ * @returns {object} An object with the <code>queuedCount</code>, <code>queuedBytes</code>,
+ * <code>inFlightCount</code> (batches), <code>inFlightBytes</code>, and <code>waitingCount</code> properties,
+ * where <code>waitingCount</code> is how many of the batches in flight are waiting for <code>config.maxInFlight</code>.
+ * @public
+ */
+SplunkLogger.prototype.queueState = function() {
+    return {
+        queuedCount: this.serializedContextQueue.length,
+        queuedBytes: this.eventsBatchSize,
+        inFlightCount: this._inFlightCount,
+        inFlightBytes: this._inFlightBytes,
+        waitingCount: this._waitingBatches.length
+    };
+};
 
-    // Makes a copy of the request options so we can set the body
-    var requestOptions = this._initializeRequestOptions(this.requestOptions);
-    requestOptions.body = this._validateMessage(context.message);
-    requestOptions.headers["Authorization"] = "Splunk " + this.config.token;
-    // Manually set the content-type header, the default is application/json
-    // since json is set to true.
-    requestOptions.headers["Content-Type"] = "application/x-www-form-urlencoded";
-    requestOptions.url = this.config.protocol + "://" + this.config.host + ":" + this.config.port + this.config.path;
+/**
+ * Reports an error to <code>this.error</code>, and emits it as an <code>error</code> event
+ * if anything is listening, rather than throwing like <code>EventEmitter</code> would.
+ *
+ * @param {Error} err - The error.
+ * @param {object} context - The <code>context</code> of the event or batch of events.
+ * @private
+ */
+SplunkLogger.prototype._reportError = function(err, context) {
+    this.error(err, context);
+    if (this.listeners("error").length > 0) {
+        this.emit("error", err, context);
+    }
+};
 
-    // Initialize the context again, right before using it
-    context = this._initializeContext(context);
+/**
+ * Gives up on an event, or a batch of events: reports the error, emits a <code>drop</code> event,
+ * and writes the original events to <code>config.deadLetter</code>.
+ *
+ * @param {string} reason - Why the events were given up on, such as <code>failed</code>.
+ * @param {Error} err - The error.
+ * @param {object} context - The <code>context</code> of the event or batch of events, reported to <code>this.error</code>.
+ * @param {object[]} contexts - The original <code>context</code> of each event.
+ * @param {number} [attempts=0] - How many times the events were sent.
+ * @private
+ */
+SplunkLogger.prototype._giveUp = function(reason, err, context, contexts, attempts) {
+    this._reportError(err, context);
+    this.emit("drop", {reason: reason, error: err, context: context, count: contexts.length});
 
-    var that = this;
+    if (this.config.deadLetter) {
+        try {
+            this.config.deadLetter.write(contexts, {reason: reason, error: err, attempts: attempts || 0});
+        }
+        catch (sinkError) {
+            this._reportError(sinkError, context);
+        }
+    }
+};
 
-    var splunkError = null; // Errors returned by Splunk Enterprise or Splunk Cloud
-    var requestError = null; // Any non-Splunk errors
+/**
+ * Sends a batch of events, keeping track of it until it has been sent.
+ * The batch waits its turn if <code>config.maxInFlight</code> batches are being sent, or with <code>config.ordered</code>.
+ * Removes the batch from <code>config.queueDir</code> once it's delivered, or handed to <code>config.deadLetter</code>,
+ * and emits a <code>drain</code> event if needed.
+ *
+ * @param {object} context - The batch of events.
+ * @param {number} size - Size of the batch, in bytes.
+ * @param {number|null} batchId - The batch ID in <code>config.queueDir</code>, if any.
+ * @param {function} callback - A callback function: <code>function(err, response, body, results)</code>,
+ * as for <code>_sendEvents()</code>.
+ * @private
+ */
+SplunkLogger.prototype._sendBatch = function(context, size, batchId, callback) {
+    var id = this._nextBatchId++;
+    this._inFlightBatches[id] = context;
+    this._inFlightCount++;
+    this._inFlightBytes += size;
 
-    // References so we don't have to deal with callback parameters
-    var _response = null;
-    var _body = null;
+    var that = this;
+    var sending = false;
+    var done = function(err, resp, body, results) {
+        if (sending) {
+            that._sendingCount--;
+        }
+        var delivered = _isDelivered(err, resp, body);
+        // A batch that isn't delivered has been given up on, and handed to the dead letter sink if there is one
+        if (batchId !== null && (delivered || that.config.deadLetter)) {
+            that._fileQueue.remove(batchId);
+        }
 
-    var numRetries = 0;
+        // The batch may have been given up on by close()
+        if (that._inFlightBatches.hasOwnProperty(id)) {
+            delete that._inFlightBatches[id];
+            that._inFlightCount--;
+            that._inFlightBytes -= size;
+            if (that._closing && !delivered) {
+                that._closing.undelivered.push(context);
+            }
+        }
+        callback(err, resp, body, results);
+
+        if (that._needDrain && that._belowHighWaterMark()) {
+            that._needDrain = false;
+            that.emit("drain");
+        }
+        that._sendWaiting();
+        that._checkClosed();
+    };
 
-    utils.whilst(
-        function() {
-            // Continue if we can (re)try
-            return numRetries++ <= that.config.maxRetries;
+    this._waitingBatches.push({
+        context: context,
+        size: size,
+        batchId: batchId,
+        send: function() {
+            sending = true;
+            that._sendingCount++;
+            that._sendEvents(context, done);
         },
-        function(done) {
-            that._post(requestOptions, function(err, resp, body) {
-                // Store the latest error, response & body
-                splunkError = null;
-                requestError = err;
-                _response = resp;
-                _body = body;
-
-                // Try to parse an error response from Splunk Enterprise or Splunk Cloud
-                if (!requestError && body && body.code.toString() !== "0") {
-                    splunkError = new Error(body.text);
-                    splunkError.code = body.code;
-                }
+        fail: done
+    });
+    this._sendWaiting();
+};
+
+/**
+ * Sends batches waiting for their turn, oldest first, while fewer than <code>config.maxInFlight</code>
+ * batches are being sent, or none with <code>config.ordered</code>. Nothing is sent while paused.
+ *
+ * @private
+ */
+SplunkLogger.prototype._sendWaiting = function() {
+    if (this._paused) {
+        return;
+    }
+    var limit = this.config.ordered ? 1 : this.config.maxInFlight;
+    while (this._waitingBatches.length > 0 && (limit <= 0 || this._sendingCount < limit)) {
+        this._waitingBatches.shift().send();
+    }
+};
+
+/**
+ * Gives up on sending any batches still in progress when the deadline for
+ * <code>close()</code> passes, calling back for batches waiting on indexer acknowledgement,
+ * on the circuit breaker, or for their turn to be sent with an error.
+ *
+ * @private
+ */
+SplunkLogger.prototype._abandonBatches = function() {
+    var that = this;
+
+    Object.keys(this._pendingAcks).forEach(function(key) {
+        var pending = that._pendingAcks[key];
+        delete that._pendingAcks[key];
+        var err = new Error("Logger was closed before the events were acknowledged.");
+        that._giveUp("closed", err, pending.context, pending.context.contexts || [pending.context]);
+        pending.callback(err);
+    });
+
+    var queue = this._circuit.queue;
+    this._circuit.queue = [];
+    queue.forEach(function(queued) {
+        var err = new Error("Logger was closed while the circuit breaker was open.");
+        that._giveUp("closed", err, queued.context, queued.context.contexts || [queued.context]);
+        queued.callback(err);
+    });
+
+    var waiting = this._waitingBatches;
+    this._waitingBatches = [];
+    waiting.forEach(function(batch) {
+        var err = new Error("Logger was closed before the events were sent.");
+        that._giveUp("closed", err, batch.context, batch.context.contexts || [batch.context]);
+        batch.fail(err);
+    });
+
+    // Anything else is still being sent
+    Object.keys(this._inFlightBatches).forEach(function(id) {
+        that._closing.undelivered.push(that._inFlightBatches[id]);
+    });
+    this._inFlightBatches = {};
+    this._inFlightCount = 0;
+    this._inFlightBytes = 0;
+    this._checkClosed();
+};
+
+/**
+ * Finishes <code>close()</code> once no batches are in progress, releasing timers and connections.
+ *
+ * @private
+ */
+SplunkLogger.prototype._checkClosed = function() {
+    var closing = this._closing;
+    if (!closing || closing.done || this._inFlightCount > 0) {
+        return;
+    }
+    closing.done = true;
+
+    if (closing.timerID) {
+        clearTimeout(closing.timerID);
+    }
+    if (this._ackTimerID) {
+        clearTimeout(this._ackTimerID);
+        this._ackTimerID = null;
+    }
+    if (this._circuit.timerID) {
+        clearTimeout(this._circuit.timerID);
+        this._circuit.timerID = null;
+    }
+    if (typeof this.config.transport.close === "function") {
+        this.config.transport.close();
+    }
+
+    var err = null;
+    if (closing.undelivered.length > 0) {
+        err = new Error(closing.undelivered.length + " batches of events could not be delivered.");
+        err.undelivered = closing.undelivered;
+    }
+    this.emit("close", {undelivered: closing.undelivered.length});
+    closing.callback(err);
+};
 
-                // Retry if no Splunk error, a non-200 request response, and numRetries hasn't exceeded the limit
-                if (!splunkError && requestError && numRetries <= that.config.maxRetries) {
-                    utils.expBackoff({attempt: numRetries}, done);
+/**
+ * Stops accepting events, and sends everything that's queued, even if paused. Waits for every batch
+ * of events being sent, including retries and indexer acknowledgement, until
+ * <code>config.closeTimeout</code> passes. Then closes the transport.
+ *
+ * @example
+ * process.on("SIGTERM", function() {
+ *     logger.close(function(err) {
+ *         if (err) {
+ *             console.log("Lost", err.undelivered.length, "batches of events");
+ *         }
+ *         process.exit();
+ *     });
+ * });
+ *
+ * @param {function} [callback] - A callback function: <code>function(err)</code>. If any batches of events
+ * could not be delivered, <code>err.undelivered</code> has the <code>context</code> of each batch.
+ * @returns {Promise|undefined} A promise, if <code>callback</code> isn't set.
+ * @public
+ */
+SplunkLogger.prototype.close = function(callback) {
+    if (!callback && typeof Promise === "function") {
+        var that = this;
+        return new Promise(function(resolve, reject) {
+            that.close(function(err) {
+                if (err) {
+                    reject(err);
                 }
                 else {
-                    // Stop iterating
-                    done(true);
+                    resolve();
                 }
             });
-        },
-        function() {
-            // Call error() for a request error or Splunk error
-            if (requestError || splunkError) {
-                that.error(requestError || splunkError, context);
-            }
+        });
+    }
+    callback = callback || function() {};
 
-            callback(requestError, _response, _body);
-        }
-    );
+    if (this._closing) {
+        callback(new Error("Logger is already closed."));
+        return;
+    }
+
+    // Repeats of events are sent without waiting for their window to end
+    Object.keys(this._dedup).forEach(this._flushRepeats);
+
+    this._closing = {
+        callback: callback,
+        undelivered: [],
+        deadline: this.config.closeTimeout > 0 ? Date.now() + this.config.closeTimeout : 0,
+        timerID: null,
+        done: false
+    };
+    this._disableTimer();
+    this._cancelFlush();
+
+    // Batches held back by pause() are sent too
+    this.resume();
+    if (this.serializedContextQueue.length > 0) {
+        this.flush();
+    }
+    if (this.config.closeTimeout > 0) {
+        this._closing.timerID = setTimeout(this._abandonBatches, this.config.closeTimeout);
+    }
+    this._checkClosed();
 };
- 
+
 /**
  * Sends or queues data to be sent based on batching settings.
  * Default behavior is to send immediately.
@@ -516,8 +2678,8 @@ SplunkLogger.prototype._sendEvents = function(context, callback) {
  *     }
  * }; 
  *
- * // The callback is only used if maxBatchCount=1, or
- * // batching thresholds have been exceeded.
+ * // The callback is called once the batch holding this event
+ * // has been sent, or has failed for the last time.
  * logger.send(payload, function(err, resp, body) {
  *     if (err) {
  *         console.log("error:", err);
@@ -535,48 +2697,461 @@ SplunkLogger.prototype._sendEvents = function(context, callback) {
  * If not specified, Splunk Enterprise or Splunk Cloud will decide the value.
  * @param {string} [context.metadata.source] - If not specified, Splunk Enterprise or Splunk Cloud will decide the value.
  * @param {string} [context.metadata.sourcetype] - If not specified, Splunk Enterprise or Splunk Cloud will decide the value.
- * @param {function} [callback] - A callback function: <code>function(err, response, body)</code>.
+ * @param {function} [callback] - A callback function: <code>function(err, response, body)</code>, called with the
+ * response to the batch holding this event.
+ * @returns {boolean} <code>false</code> if the logger is falling behind, because <code>config.highWaterMark</code>
+ * has been reached or the event didn't fit in the queue. Wait for the <code>drain</code> event before sending more events.
  * @throws Will throw an error if the <code>context</code> parameter is malformed.
  * @public
  */
 SplunkLogger.prototype.send = function(context, callback) {
+    return this._enqueue(context, callback);
+};
+
+/**
+ * Like [send()]{@link SplunkLogger#send}, but returns a promise that settles once the event has been sent,
+ * even if it's sent later in a batch with other events.
+ *
+ * @example
+ * logger.sendAsync({message: "something"}).then(function(body) {
+ *     // body will be { text: 'Success', code: 0 }
+ * }, function(err) {
+ *     // err is a SplunkError
+ * });
+ *
+ * @param {object} context - An object with at least the <code>message</code> property, see [send()]{@link SplunkLogger#send}.
+ * @returns {Promise} Resolves with the response body from HTTP Event Collector, or rejects with a
+ * [SplunkError]{@link SplunkError}.
+ * @throws Will throw an error if the <code>context</code> parameter is malformed.
+ * @public
+ */
+SplunkLogger.prototype.sendAsync = function(context) {
+    // Validate the context right away, rather than rejecting
     context = this._initializeContext(context);
-    
-    // Store the context, and its estimated length
-    var currentEvent = JSON.stringify(this._makeBody(context));
+    var that = this;
+    return new Promise(function(resolve, reject) {
+        that._enqueue(context, _settle(resolve, reject));
+    });
+};
+
+/**
+ * Collapses an event into the repeats of an earlier event with the same fingerprint, sent within
+ * <code>config.dedupWindow</code>. Otherwise starts a window for the event, after which its repeats are sent.
+ *
+ * @param {object} context - The initialized <code>context</code> of the event.
+ * @param {function} [callback] - The event's callback, called with the response to its summary if it's a repeat.
+ * @returns {boolean} <code>true</code> if the event is a repeat, and shouldn't be queued.
+ * @private
+ */
+SplunkLogger.prototype._dedupe = function(context, callback) {
+    var fingerprint = (this.config.dedupFingerprint || _defaultFingerprint)(context);
+    var entry = this._dedup[fingerprint];
+    if (entry) {
+        var now = Date.now();
+        entry.context = context;
+        entry.count++;
+        entry.first = entry.first || now;
+        entry.last = now;
+        if (callback) {
+            entry.callbacks.push(callback);
+        }
+        return true;
+    }
+
+    var that = this;
+    this._dedup[fingerprint] = {
+        context: context,
+        count: 0,
+        first: 0,
+        last: 0,
+        callbacks: [],
+        timerID: setTimeout(function() {
+            that._flushRepeats(fingerprint);
+        }, this.config.dedupWindow)
+    };
+    _unref(this._dedup[fingerprint].timerID);
+    return false;
+};
+
+/**
+ * Ends the window for an event, queueing a summary of its repeats, if there were any.
+ *
+ * @param {string} fingerprint - The fingerprint of the event.
+ * @private
+ */
+SplunkLogger.prototype._flushRepeats = function(fingerprint) {
+    var entry = this._dedup[fingerprint];
+    delete this._dedup[fingerprint];
+    clearTimeout(entry.timerID);
+    if (entry.count === 0) {
+        return;
+    }
+
+    var callbacks = entry.callbacks;
+    this._enqueue(_summarize(entry), function(err, resp, body) {
+        callbacks.forEach(function(callback) {
+            callback(err, resp, body);
+        });
+    }, true);
+};
+
+/**
+ * Queues an event, and flushes the queue based on batching settings.
+ *
+ * @param {object} context - The event.
+ * @param {function} [callback] - Called once the batch holding the event has been sent,
+ * or if the event is dropped: <code>function(err, response, body)</code>.
+ * @param {boolean} [summary] - Whether the event is a summary of repeats, which is never collapsed itself.
+ * @returns {boolean} <code>false</code> if the logger is falling behind.
+ * @private
+ */
+SplunkLogger.prototype._enqueue = function(context, callback, summary) {
+    context = this._initializeContext(context);
+
+    if (this._closing) {
+        var err = new Error("Cannot send events after close().");
+        this._giveUp("closed", err, context, [context]);
+        if (callback) {
+            callback(err);
+        }
+        return false;
+    }
+
+    if (this.config.dedupWindow > 0 && !summary && this._dedupe(context, callback)) {
+        return this._belowHighWaterMark();
+    }
+
+    // Store the context, and its estimated length, if there's room for it
+    var currentEvent = this._serializeEvent(context);
+    var currentSize = Buffer.byteLength(currentEvent, "utf8");
+
+    // Flush the event's lane first if the event would take it over maxBatchSize
+    var lane = this._laneOf(context.severity);
+    var stats = this._laneStats[lane];
+    var maxBatchSize = this._laneSettings(lane).maxBatchSize;
+    var that = this;
+    var withEvent = function() {
+        return that._laneEvents(lane).events.concat([currentEvent]);
+    };
+    if (!this._paused && stats && this._overBatchSize(stats.size + currentSize, maxBatchSize, withEvent)) {
+        this._flushLane(lane);
+    }
+
+    if (!this._makeRoom(context, currentSize, callback)) {
+        this._needDrain = true;
+        return false;
+    }
     this.serializedContextQueue.push(currentEvent);
-    this.eventsBatchSize += Buffer.byteLength(currentEvent, "utf8");
+    var meta = {severity: context.severity, lane: lane, size: currentSize, time: Date.now(), callback: callback, context: context};
+    this._queueMeta.push(meta);
+    this._trackEvent(meta);
+    this.eventsBatchSize += currentSize;
+    this.emit("enqueue", {
+        context: context,
+        size: currentSize,
+        queuedCount: this.serializedContextQueue.length,
+        queuedBytes: this.eventsBatchSize
+    });
+
+    // Write the event to disk before returning, if possible
+    if (this._fileQueue && !this._fileQueue.append(currentEvent)) {
+        this._reportError(new Error("Queue directory is full, the event is only queued in memory."), context);
+    }
 
-    var batchOverSize = this.eventsBatchSize > this.config.maxBatchSize && this.config.maxBatchSize > 0;
-    var batchOverCount = this.serializedContextQueue.length >= this.config.maxBatchCount && this.config.maxBatchCount > 0;
+    // Only flush the event's lane if its byte size is too large, or has too many events, and never while paused
+    if (!this._paused && this._laneIsFull(lane)) {
+        this._flushLane(lane);
+    }
+    else {
+        this._scheduleFlush();
+    }
 
-    // Only flush if the queue's byte size is too large, or has too many events
-    if (batchOverSize || batchOverCount) {
-        this.flush(callback || function(){});
+    if (!this._belowHighWaterMark()) {
+        this._needDrain = true;
+        return false;
     }
+    return true;
 };
 
 /**
- * Manually send all events in <code>this.serializedContextQueue</code> to Splunk Enterprise or Splunk Cloud.
+ * Manually send all events in <code>this.serializedContextQueue</code> to Splunk Enterprise or Splunk Cloud,
+ * lane by lane, in as many batches as it takes to stay within each lane's <code>maxBatchCount</code> and <code>maxBatchSize</code>.
+ * The callback passed to <code>send()</code> for each of those events is called along with <code>callback</code>.
+ * If the server can't parse one of the events, it's reported to <code>error()</code> on its own, its <code>send()</code> callback
+ * gets the server's response, and the rest of the events are sent again.
+ * Emits a <code>flush</code> event, and a <code>drain</code> event once the batch has been sent,
+ * if <code>send()</code> has returned <code>false</code> and the logger is back below <code>config.highWaterMark</code>.
+ * While paused, the batch waits until <code>resume()</code> is called.
  *
- * @param {function} [callback] - A callback function: <code>function(err, response, body)</code>.
+ * @param {function} [callback] - A callback function: <code>function(err, response, body)</code>, called once
+ * every batch has been sent, with the first failure, if any.
  * @public
  */
 SplunkLogger.prototype.flush = function(callback) {
+    var lanes = Object.keys(this._laneStats);
+    if (lanes.length === 0) {
+        this._flushLane(null, callback);
+        return;
+    }
     callback = callback || function(){};
 
-    // Empty the queue, reset the eventsBatchSize
-    var queue = this.serializedContextQueue;
-    this.serializedContextQueue = [];
-    this.eventsBatchSize = 0;
+    // Batches can call back right away, such as when the circuit breaker drops them,
+    // so count the loop below as one more batch until every batch has been flushed
+    var remaining = 1;
+    var failure = null;
+    var last = [];
+    var finish = function() {
+        if (--remaining === 0) {
+            var result = failure || last;
+            callback(result[0], result[1], result[2]);
+        }
+    };
+    var batchDone = function(err, resp, body) {
+        if (!failure && !_isDelivered(err, resp, body)) {
+            failure = [err, resp, body];
+        }
+        last = [err, resp, body];
+        finish();
+    };
+
+    var that = this;
+    lanes.forEach(function(lane) {
+        while (that._laneStats.hasOwnProperty(lane)) {
+            remaining++;
+            that._flushLane(lane, batchDone, that._fullBatchCount(lane));
+        }
+    });
+    finish();
+};
+
+/**
+ * Sends the events queued in a lane, or every queued event, as a batch.
+ *
+ * @param {string|null} lane - A lane from <code>this._laneOf()</code>, or <code>null</code> for every lane.
+ * @param {function} [callback] - A callback function: <code>function(err, response, body)</code>.
+ * @param {number} [limit] - Only send this many of the oldest events in the lane.
+ * @private
+ */
+SplunkLogger.prototype._flushLane = function(lane, callback, limit) {
+    callback = callback || function(){};
+
+    // Take the lane's events out of the queue, and adjust the eventsBatchSize
+    var queue = [];
+    var batchSize = 0;
+    var eventCallbacks = [];
+    var contexts = [];
+    var keptQueue = [];
+    var keptMeta = [];
+    for (var i = 0; i < this._queueMeta.length; i++) {
+        var meta = this._queueMeta[i];
+        var inLane = lane === null || meta.lane === lane;
+        if (inLane && (!limit || queue.length < limit)) {
+            queue.push(this.serializedContextQueue[i]);
+            batchSize += meta.size;
+            eventCallbacks.push(meta.callback);
+            // Events replayed from disk only have their serialized form
+            contexts.push(meta.context || {message: this.serializedContextQueue[i]});
+        }
+        else {
+            keptQueue.push(this.serializedContextQueue[i]);
+            keptMeta.push(meta);
+        }
+    }
+    this.serializedContextQueue = keptQueue;
+    this._queueMeta = keptMeta;
+    this._laneStats = {};
+    keptMeta.forEach(this._trackEvent);
+    this.eventsBatchSize -= batchSize;
+    this._cancelFlush();
+    this._scheduleFlush();
 
     // Send all queued events
     var data = queue.join("");
+    // Keep the events apart too, in case the batch has to be split
     var context = {
-        message: data
+        message: data,
+        count: queue.length,
+        events: queue,
+        contexts: contexts,
+        maxBatchSize: lane === null ? this.config.maxBatchSize : this._laneSettings(lane).maxBatchSize
     };
-    
-    this._sendEvents(context, callback);
+    this.emit("flush", {count: queue.length, size: batchSize});
+
+    // The batch stays on disk until it's sent, events in other lanes stay pending
+    var batchId = null;
+    if (this._fileQueue) {
+        batchId = this._fileQueue.commit(keptQueue.length > 0 ? queue : undefined);
+    }
+
+    this._sendBatch(context, batchSize, batchId, function(err, resp, body, results) {
+        callback(err, resp, body);
+        eventCallbacks.forEach(function(eventCallback, index) {
+            if (!eventCallback) {
+                return;
+            }
+            // Events up to one the server couldn't parse get the response for themselves
+            if (results && results.hasOwnProperty(index)) {
+                eventCallback(null, results[index].response, results[index].body);
+            }
+            else {
+                eventCallback(err, resp, body);
+            }
+        });
+    });
+};
+
+/**
+ * Like [flush()]{@link SplunkLogger#flush}, but returns a promise.
+ *
+ * @example
+ * logger.flushAsync().then(function(body) {
+ *     // body will be { text: 'Success', code: 0 }
+ * });
+ *
+ * @returns {Promise} Resolves with the response body from HTTP Event Collector, or rejects with a
+ * [SplunkError]{@link SplunkError}.
+ * @public
+ */
+SplunkLogger.prototype.flushAsync = function() {
+    var that = this;
+    return new Promise(function(resolve, reject) {
+        that.flush(_settle(resolve, reject));
+    });
+};
+
+/**
+ * Stops sending events, while still queueing them, such as during a maintenance window for Splunk Enterprise.
+ * <code>config.maxQueueCount</code>, <code>config.maxQueueBytes</code>, and <code>config.highWaterMark</code>
+ * still apply to the queued events. Batches that are already being sent, including their retries, carry on.
+ *
+ * @example
+ * logger.pause();
+ * // ... later
+ * logger.resume();
+ *
+ * @public
+ */
+SplunkLogger.prototype.pause = function() {
+    this._paused = true;
+    this._cancelFlush();
+};
+
+/**
+ * Starts sending events again after <code>pause()</code>. Lanes that reached their <code>maxBatchCount</code>
+ * or <code>maxBatchSize</code> while paused are sent right away, as full batches, and the batch timers
+ * pick up the rest.
+ *
+ * @public
+ */
+SplunkLogger.prototype.resume = function() {
+    if (!this._paused) {
+        return;
+    }
+    this._paused = false;
+
+    // Batches flushed while paused go first
+    this._sendWaiting();
+
+    var that = this;
+    Object.keys(this._laneStats).forEach(function(lane) {
+        while (that._laneIsFull(lane)) {
+            that._flushLane(lane, null, that._fullBatchCount(lane));
+        }
+    });
+    this._scheduleFlush();
+};
+
+/**
+ * Discards every queued event, without sending it, including repeats collapsed by <code>config.dedupWindow</code>,
+ * and flushed batches that haven't been sent yet, such as those flushed while paused.
+ * The callback passed to <code>send()</code> for each of those events, and to <code>flush()</code> for each of those batches,
+ * is called with an error. Batches that are already being sent aren't affected.
+ *
+ * @returns {number} How many events were discarded.
+ * @public
+ */
+SplunkLogger.prototype.clear = function() {
+    var callbacks = [];
+    var count = this.serializedContextQueue.length;
+    this._queueMeta.forEach(function(meta) {
+        callbacks.push(meta.callback);
+    });
+
+    // Repeats of events waiting for their window to end go too
+    var dedup = this._dedup;
+    Object.keys(dedup).forEach(function(fingerprint) {
+        clearTimeout(dedup[fingerprint].timerID);
+        callbacks = callbacks.concat(dedup[fingerprint].callbacks);
+        count += dedup[fingerprint].count;
+    });
+    this._dedup = {};
+
+    // Batches that are waiting for their turn, or for resume(), were never sent
+    var waiting = this._waitingBatches;
+    this._waitingBatches = [];
+    waiting.forEach(function(batch) {
+        count += batch.context.count;
+    });
+
+    this.serializedContextQueue = [];
+    this._queueMeta = [];
+    this._laneStats = {};
+    this.eventsBatchSize = 0;
+    this._cancelFlush();
+
+    var fileQueue = this._fileQueue;
+    if (fileQueue) {
+        fileQueue.remove(fileQueue.commit());
+        waiting.forEach(function(batch) {
+            if (batch.batchId !== null) {
+                fileQueue.remove(batch.batchId);
+            }
+        });
+    }
+
+    waiting.forEach(function(batch) {
+        batch.fail(new Error("Queue was cleared, the events were discarded."));
+    });
+    callbacks.forEach(function(callback) {
+        if (callback) {
+            callback(new Error("Queue was cleared, the event was discarded."));
+        }
+    });
+    if (this._needDrain && this._belowHighWaterMark()) {
+        this._needDrain = false;
+        this.emit("drain");
+    }
+    return count;
+};
+
+/**
+ * Gets the oldest queued event, without taking it out of the queue. Events in flushed batches
+ * that haven't been sent yet, such as those flushed while paused, are older than any other queued event.
+ *
+ * @returns {string|null} The serialized event, or <code>null</code> if nothing is queued.
+ * @public
+ */
+SplunkLogger.prototype.peek = function() {
+    if (this._waitingBatches.length > 0) {
+        return this._waitingBatches[0].context.events[0];
+    }
+    return this.serializedContextQueue.length > 0 ? this.serializedContextQueue[0] : null;
+};
+
+/**
+ * Gets every queued event, oldest first, without taking them out of the queue, including events in flushed
+ * batches that haven't been sent yet, such as those flushed while paused.
+ * Changing the returned array doesn't change the queue.
+ *
+ * @returns {string[]} The serialized events.
+ * @public
+ */
+SplunkLogger.prototype.pending = function() {
+    var events = [];
+    this._waitingBatches.forEach(function(batch) {
+        events = events.concat(batch.context.events);
+    });
+    return events.concat(this.serializedContextQueue);
 };
 
 module.exports = SplunkLogger;
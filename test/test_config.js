@@ -15,7 +15,9 @@
  */
 
 var SplunkLogger = require("../index").Logger;
+var HttpTransport = require("../index").HttpTransport;
 var assert = require("assert");
+var EventEmitter = require("events").EventEmitter;
 
 describe("SplunkLogger", function() {
     describe("constructor", function () {
@@ -536,6 +538,263 @@ describe("SplunkLogger", function() {
             assert.strictEqual(8088, logger.config.port);
             assert.strictEqual(0, logger.config.maxRetries);
         });
+        it("should set default indexer acknowledgement settings", function() {
+            var config = {
+                token: "a-token-goes-here-usually"
+            };
+            var logger = new SplunkLogger(config);
+
+            assert.strictEqual(false, logger.config.ack);
+            assert.strictEqual("/services/collector/ack", logger.config.ackPath);
+            assert.strictEqual(1000, logger.config.ackInterval);
+            assert.strictEqual(60000, logger.config.ackTimeout);
+            assert.ok(!logger.config.channel);
+        });
+        it("should generate a channel when ack is enabled", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                ack: true
+            };
+            var logger = new SplunkLogger(config);
+
+            assert.strictEqual(true, logger.config.ack);
+            assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(logger.config.channel));
+
+            // The channel must not change once set
+            var channel = logger.config.channel;
+            logger.config = logger._initializeConfig(logger.config);
+            assert.strictEqual(channel, logger.config.channel);
+        });
+        it("should keep a configured channel", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                ack: true,
+                channel: "my-channel"
+            };
+            var logger = new SplunkLogger(config);
+            assert.strictEqual("my-channel", logger.config.channel);
+        });
+        it("should error with non-string channel", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                channel: 1234
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Channel must be a string.");
+            }
+        });
+        it("should error when ackTimeout is negative", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                ackTimeout: -1
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Ack timeout must be a positive number, found: -1");
+            }
+        });
+        it("should set the raw path and a channel in raw mode", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                mode: "raw"
+            };
+            var logger = new SplunkLogger(config);
+
+            assert.strictEqual("raw", logger.config.mode);
+            assert.strictEqual("/services/collector/raw", logger.config.path);
+            assert.ok(logger.config.channel);
+
+            // Switching modes follows the default path
+            logger.config = logger._initializeConfig({mode: "event"});
+            assert.strictEqual("event", logger.config.mode);
+            assert.strictEqual("/services/collector/event/1.0", logger.config.path);
+        });
+        it("should keep a non-default path in raw mode", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                mode: "raw",
+                url: "https://splunk.local:8088/custom/raw"
+            };
+            var logger = new SplunkLogger(config);
+
+            assert.strictEqual("raw", logger.config.mode);
+            assert.strictEqual("/custom/raw", logger.config.path);
+        });
+        it("should error with an unknown mode", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                mode: "cooked"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Mode must be event or raw, found: cooked");
+            }
+        });
+        it("should error with non-object metadata", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                metadata: "main"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Metadata must be an object.");
+            }
+        });
+        it("should set compression", function() {
+            var config = {
+                token: "a-token-goes-here-usually"
+            };
+            var logger = new SplunkLogger(config);
+            assert.ok(!logger.config.compression);
+            assert.strictEqual(false, logger.config.compressedBatchSize);
+
+            logger.config = logger._initializeConfig({compression: "gzip", compressedBatchSize: true});
+            assert.strictEqual("gzip", logger.config.compression);
+            assert.strictEqual(true, logger.config.compressedBatchSize);
+        });
+        it("should error with unsupported compression", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                compression: "brotli"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Compression must be gzip or deflate, found: brotli");
+            }
+        });
+        it("should default to an HttpTransport", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                keepAlive: false,
+                maxSockets: 5,
+                timeout: 1000
+            };
+            var logger = new SplunkLogger(config);
+
+            assert.ok(logger.config.transport instanceof HttpTransport);
+            assert.strictEqual(false, logger.config.transport.keepAlive);
+            assert.strictEqual(5, logger.config.transport.maxSockets);
+            assert.strictEqual(1000, logger.config.transport.timeout);
+
+            // The transport is kept when the config is initialized again
+            var transport = logger.config.transport;
+            logger.config = logger._initializeConfig(logger.config);
+            assert.strictEqual(transport, logger.config.transport);
+        });
+        it("should set a custom transport", function() {
+            var transport = {
+                send: function() {}
+            };
+            var config = {
+                token: "a-token-goes-here-usually",
+                transport: transport
+            };
+            var logger = new SplunkLogger(config);
+            assert.strictEqual(transport, logger.config.transport);
+        });
+        it("should error with a transport without a send function", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                transport: {}
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Transport must be an object with a send function.");
+            }
+        });
+        it("should normalize endpoints", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                protocol: "http",
+                endpoints: ["https://hec1.splunk.local:9088/ignored/path", "http://hec2.splunk.local", "//hec3.splunk.local"]
+            };
+            var logger = new SplunkLogger(config);
+
+            assert.deepEqual(logger.config.endpoints, [
+                "https://hec1.splunk.local:9088",
+                "http://hec2.splunk.local:8088",
+                "http://hec3.splunk.local:8088"
+            ]);
+            assert.strictEqual("failover", logger.config.endpointPolicy);
+            assert.strictEqual(30000, logger.config.probeInterval);
+        });
+        it("should use the configured server without endpoints", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                url: "http://splunk.local:9088"
+            };
+            var logger = new SplunkLogger(config);
+
+            assert.ok(!logger.config.endpoints);
+            assert.deepEqual(logger._getEndpoints(), ["http://splunk.local:9088"]);
+        });
+        it("should error with empty endpoints", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                endpoints: []
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Endpoints must be a non-empty array of URLs.");
+            }
+        });
+        it("should error with a malformed endpoint", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                endpoints: ["https://hec1.splunk.local:8088", "not a url"]
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Endpoint must be a URL, found: not a url");
+            }
+        });
+        it("should error with an unknown endpointPolicy", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                endpointPolicy: "random"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Endpoint policy must be one of failover, roundRobin, leastInFlight, found: random");
+            }
+        });
         it("should set maxRetries", function() {
             var config = {
                 token: "a-token-goes-here-usually",
@@ -553,6 +812,342 @@ describe("SplunkLogger", function() {
             assert.strictEqual(8088, logger.config.port);
             assert.strictEqual(10, logger.config.maxRetries);
         });
+        it("should set linger and maxEventAge", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.linger, false);
+            assert.strictEqual(logger.config.maxEventAge, 0);
+
+            logger = new SplunkLogger({token: "a-token-goes-here-usually", linger: true, batchInterval: 100, maxEventAge: 50});
+            assert.strictEqual(logger.config.linger, true);
+            assert.strictEqual(logger.config.maxEventAge, 50);
+            // Nothing is scheduled until an event is queued
+            assert.ok(!logger._timerID);
+            assert.ok(!logger._flushTimerID);
+        });
+        it("should error with negative maxEventAge", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                maxEventAge: -1
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Max event age must be a positive number, found: -1");
+            }
+        });
+        it("should stop the interval timer when linger is turned on", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually", batchInterval: 100});
+            assert.ok(logger._timerID);
+            // Doesn't keep the process alive
+            assert.strictEqual(logger._timerID.hasRef(), false);
+
+            logger._initializeConfig({linger: true});
+            assert.ok(!logger._timerID);
+        });
+        it("should set lanes", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.lanes, null);
+
+            logger = new SplunkLogger({
+                token: "a-token-goes-here-usually",
+                lanes: {
+                    error: {maxBatchCount: 1},
+                    debug: {batchInterval: "10000", maxBatchSize: 1024}
+                }
+            });
+            assert.deepEqual(logger.config.lanes, {
+                error: {maxBatchCount: 1},
+                debug: {batchInterval: 10000, maxBatchSize: 1024}
+            });
+        });
+        it("should error with malformed lanes", function() {
+            var cases = [
+                {lanes: "error", message: "Lanes must be an object."},
+                {lanes: {error: 1}, message: "Lane settings must be an object, found: 1"},
+                {lanes: {error: {maxQueueCount: 1}}, message: "Unknown lane setting: maxQueueCount"},
+                {lanes: {debug: {batchInterval: -1}}, message: "Batch interval for debug lane must be a positive number, found: -1"}
+            ];
+            cases.forEach(function(testCase) {
+                try {
+                    var logger = new SplunkLogger({token: "a-token-goes-here-usually", lanes: testCase.lanes});
+                    assert.fail(!logger, "Expected an error.");
+                }
+                catch (err) {
+                    assert.ok(err);
+                    assert.strictEqual(err.message, testCase.message);
+                }
+            });
+        });
+        it("should set maxInFlight and ordered", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.maxInFlight, 0);
+            assert.strictEqual(logger.config.ordered, false);
+
+            logger = new SplunkLogger({token: "a-token-goes-here-usually", maxInFlight: "4", ordered: true});
+            assert.strictEqual(logger.config.maxInFlight, 4);
+            assert.strictEqual(logger.config.ordered, true);
+        });
+        it("should error with negative maxInFlight", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                maxInFlight: -1
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Max in flight must be a positive number, found: -1");
+            }
+        });
+        it("should set dedupWindow and dedupFingerprint", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.dedupWindow, 0);
+            assert.strictEqual(logger.config.dedupFingerprint, null);
+
+            var fingerprint = function(context) {
+                return context.severity;
+            };
+            logger = new SplunkLogger({token: "a-token-goes-here-usually", dedupWindow: "1000", dedupFingerprint: fingerprint});
+            assert.strictEqual(logger.config.dedupWindow, 1000);
+            assert.strictEqual(logger.config.dedupFingerprint, fingerprint);
+        });
+        it("should error with malformed dedup settings", function() {
+            var testCases = [
+                {config: {dedupWindow: -1}, message: "Dedup window must be a positive number, found: -1"},
+                {config: {dedupFingerprint: "message"}, message: "Dedup fingerprint must be a function."}
+            ];
+            testCases.forEach(function(testCase) {
+                testCase.config.token = "a-token-goes-here-usually";
+                try {
+                    var logger = new SplunkLogger(testCase.config);
+                    assert.fail(!logger, "Expected an error.");
+                }
+                catch (err) {
+                    assert.ok(err);
+                    assert.strictEqual(err.message, testCase.message);
+                }
+            });
+        });
+        it("should set closeTimeout", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.closeTimeout, 30000);
+
+            logger = new SplunkLogger({token: "a-token-goes-here-usually", closeTimeout: 0});
+            assert.strictEqual(logger.config.closeTimeout, 0);
+        });
+        it("should set default highWaterMark", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.highWaterMark, 16384);
+            assert.ok(logger instanceof EventEmitter);
+        });
+        it("should error with NaN highWaterMark", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                highWaterMark: "high"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "High water mark must be a number, found: NaN");
+            }
+        });
+        it("should set default queue limits", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.maxQueueCount, 0);
+            assert.strictEqual(logger.config.maxQueueBytes, 0);
+            assert.strictEqual(logger.config.queueOverflow, "dropNewest");
+            assert.strictEqual(logger.droppedEvents, 0);
+        });
+        it("should set queue limits", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                maxQueueCount: 100,
+                maxQueueBytes: 4096,
+                queueOverflow: "dropLowestSeverity"
+            };
+            var logger = new SplunkLogger(config);
+            assert.strictEqual(logger.config.maxQueueCount, 100);
+            assert.strictEqual(logger.config.maxQueueBytes, 4096);
+            assert.strictEqual(logger.config.queueOverflow, "dropLowestSeverity");
+        });
+        it("should error with an unknown queueOverflow", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                queueOverflow: "block"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Queue overflow must be one of dropNewest, dropOldest, dropLowestSeverity, spill, found: block");
+            }
+        });
+        it("should error with negative maxQueueBytes", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                maxQueueBytes: -1
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Max queue bytes must be a positive number, found: -1");
+            }
+        });
+        it("should set default circuit breaker settings", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.circuitBreakerThreshold, 0);
+            assert.strictEqual(logger.config.circuitBreakerCooldown, 30000);
+            assert.strictEqual(logger.config.circuitBreakerPolicy, "queue");
+            assert.strictEqual(logger._circuit.state, "closed");
+        });
+        it("should set circuit breaker settings", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                circuitBreakerThreshold: 5,
+                circuitBreakerCooldown: 1000,
+                circuitBreakerPolicy: "drop"
+            };
+            var logger = new SplunkLogger(config);
+            assert.strictEqual(logger.config.circuitBreakerThreshold, 5);
+            assert.strictEqual(logger.config.circuitBreakerCooldown, 1000);
+            assert.strictEqual(logger.config.circuitBreakerPolicy, "drop");
+        });
+        it("should error with an unknown circuitBreakerPolicy", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                circuitBreakerPolicy: "ignore"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Circuit breaker policy must be one of queue, drop, found: ignore");
+            }
+        });
+        it("should set default retry settings", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.strictEqual(logger.config.retryBaseDelay, 10);
+            assert.strictEqual(logger.config.retryMaxDelay, 120000);
+            assert.strictEqual(logger.config.retryMultiplier, 2);
+            assert.strictEqual(logger.config.retryJitter, null);
+            assert.strictEqual(logger.config.retryBudget, 0);
+        });
+        it("should set retry settings", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                retryBaseDelay: 100,
+                retryMaxDelay: 5000,
+                retryMultiplier: 1.5,
+                retryJitter: "decorrelated",
+                retryBudget: 30000
+            };
+            var logger = new SplunkLogger(config);
+            assert.strictEqual(logger.config.retryBaseDelay, 100);
+            assert.strictEqual(logger.config.retryMaxDelay, 5000);
+            assert.strictEqual(logger.config.retryMultiplier, 1.5);
+            assert.strictEqual(logger.config.retryJitter, "decorrelated");
+            assert.strictEqual(logger.config.retryBudget, 30000);
+        });
+        it("should error with retryMultiplier less than 1", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                retryMultiplier: 0.5
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Retry multiplier must be a number of at least 1, found: 0.5");
+            }
+        });
+        it("should error with an unknown retryJitter", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                retryJitter: "lots"
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Retry jitter must be one of full, equal, decorrelated, found: lots");
+            }
+        });
+        it("should error with negative retryBudget", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                retryBudget: -1
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Retry budget must be a positive number, found: -1");
+            }
+        });
+        it("should set default retryable codes and statuses", function() {
+            var logger = new SplunkLogger({token: "a-token-goes-here-usually"});
+            assert.deepEqual(logger.config.retryableCodes, [9]);
+            assert.deepEqual(logger.config.retryableStatuses, [429, 503]);
+        });
+        it("should set retryableCodes and retryableStatuses", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                retryableCodes: [8, "9"],
+                retryableStatuses: []
+            };
+            var logger = new SplunkLogger(config);
+            assert.deepEqual(logger.config.retryableCodes, [8, 9]);
+            assert.deepEqual(logger.config.retryableStatuses, []);
+        });
+        it("should error with non-array retryableCodes", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                retryableCodes: 9
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Retryable codes must be an array of numbers.");
+            }
+        });
+        it("should error with NaN retryableStatuses", function() {
+            var config = {
+                token: "a-token-goes-here-usually",
+                retryableStatuses: [503, "busy"]
+            };
+            try {
+                var logger = new SplunkLogger(config);
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Retryable statuses must be a number, found: NaN");
+            }
+        });
     });
     describe("_initializeConfig", function() {
         it("should error with no args", function() {
@@ -0,0 +1,242 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var CallbackDeadLetterSink = require("../index").CallbackDeadLetterSink;
+var FileDeadLetterSink = require("../index").FileDeadLetterSink;
+var MemoryTransport = require("../index").MemoryTransport;
+var SplunkLogger = require("../index").Logger;
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+/**
+ * Reads the lines of an NDJSON file.
+ */
+function readLines(file) {
+    return fs.readFileSync(file, "utf8").split("\n").filter(function(line) {
+        return line.length > 0;
+    }).map(function(line) {
+        return JSON.parse(line);
+    });
+}
+
+describe("FileDeadLetterSink", function() {
+    var file = null;
+
+    beforeEach(function() {
+        file = path.join(os.tmpdir(), "splunk-logging-dead-letters-" + process.pid + "-" + Date.now() + ".ndjson");
+    });
+    afterEach(function() {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it("should error without a path", function() {
+        try {
+            var sink = new FileDeadLetterSink({});
+            assert.fail(!sink, "Expected an error.");
+        }
+        catch (err) {
+            assert.ok(err);
+            assert.strictEqual(err.message, "Dead letter path must be a string.");
+        }
+    });
+    it("should append a line for each event", function() {
+        var sink = new FileDeadLetterSink({path: file});
+        var err = new Error("Invalid token");
+        err.code = 4;
+
+        sink.write([{message: "first", severity: "info"}, {message: {nested: true}, severity: "error"}], {
+            reason: "failed",
+            error: err,
+            attempts: 3
+        });
+        sink.write([{message: "third"}], {reason: "queueFull", error: new Error("Queue is full, dropped an event."), attempts: 0});
+
+        var lines = readLines(file);
+        assert.strictEqual(lines.length, 3);
+        assert.deepEqual(lines[0].context, {message: "first", severity: "info"});
+        assert.strictEqual(lines[0].reason, "failed");
+        assert.deepEqual(lines[0].error, {message: "Invalid token", code: 4});
+        assert.strictEqual(lines[0].attempts, 3);
+        assert.ok(!isNaN(Date.parse(lines[0].failedAt)));
+        assert.deepEqual(lines[1].context.message, {nested: true});
+        assert.strictEqual(lines[2].reason, "queueFull");
+        assert.strictEqual(lines[2].error.code, null);
+    });
+    describe("with SplunkLogger", function() {
+        it("should write events from a failed batch", function(done) {
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport({
+                    respond: function() {
+                        return {statusCode: 403, body: {text: "Invalid token", code: 4}};
+                    }
+                }),
+                maxBatchCount: 2,
+                deadLetter: new FileDeadLetterSink({path: file})
+            });
+            logger.error = function() {};
+
+            logger.send({message: "first", metadata: {source: "test"}});
+            logger.send({message: "second", severity: "warn"}, function() {
+                var lines = readLines(file);
+                assert.strictEqual(lines.length, 2);
+                assert.strictEqual(lines[0].context.message, "first");
+                assert.strictEqual(lines[0].context.severity, "info");
+                assert.strictEqual(lines[0].context.metadata.source, "test");
+                assert.strictEqual(lines[1].context.message, "second");
+                assert.strictEqual(lines[1].context.severity, "warn");
+                assert.strictEqual(lines[1].reason, "failed");
+                assert.deepEqual(lines[1].error, {message: "Invalid token", code: 4});
+                assert.strictEqual(lines[1].attempts, 1);
+                done();
+            });
+        });
+        it("should write events rejected by a server that isn't HTTP Event Collector", function(done) {
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport({
+                    respond: function() {
+                        return {statusCode: 500, body: "<html><body>Internal Server Error</body></html>"};
+                    }
+                }),
+                deadLetter: new FileDeadLetterSink({path: file})
+            });
+            logger.error = function() {};
+
+            logger.send({message: "first"}, function() {
+                var lines = readLines(file);
+                assert.strictEqual(lines.length, 1);
+                assert.strictEqual(lines[0].context.message, "first");
+                assert.strictEqual(lines[0].reason, "failed");
+                assert.deepEqual(lines[0].error, {message: "Server responded with status 500", code: null});
+                done();
+            });
+        });
+    });
+});
+describe("CallbackDeadLetterSink", function() {
+    it("should error without a callback", function() {
+        try {
+            var sink = new CallbackDeadLetterSink({callback: "not a function"});
+            assert.fail(!sink, "Expected an error.");
+        }
+        catch (err) {
+            assert.ok(err);
+            assert.strictEqual(err.message, "Dead letter callback must be a function.");
+        }
+    });
+    it("should pass events to the callback", function() {
+        var calls = [];
+        var sink = new CallbackDeadLetterSink({
+            callback: function(contexts, failure) {
+                calls.push({contexts: contexts, failure: failure});
+            }
+        });
+        var failure = {reason: "closed", error: new Error("closed"), attempts: 0};
+        sink.write([{message: "something"}], failure);
+        assert.deepEqual(calls, [{contexts: [{message: "something"}], failure: failure}]);
+    });
+    describe("with SplunkLogger", function() {
+        it("should accept a function", function() {
+            var logger = new SplunkLogger({token: "token-goes-here", deadLetter: function() {}});
+            assert.ok(logger.config.deadLetter instanceof CallbackDeadLetterSink);
+        });
+        it("should error with a malformed sink", function() {
+            try {
+                var logger = new SplunkLogger({token: "token-goes-here", deadLetter: {}});
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Dead letter sink must be a function, or an object with a write function.");
+            }
+        });
+        it("should count attempts, including retries", function(done) {
+            var calls = [];
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport({
+                    respond: function() {
+                        return {error: new Error("connect ECONNREFUSED")};
+                    }
+                }),
+                maxRetries: 2,
+                retryBaseDelay: 1,
+                deadLetter: function(contexts, failure) {
+                    calls.push({contexts: contexts, failure: failure});
+                }
+            });
+            logger.error = function() {};
+
+            logger.send({message: "something"}, function(err) {
+                assert.ok(err);
+                assert.strictEqual(calls.length, 1);
+                assert.strictEqual(calls[0].contexts[0].message, "something");
+                assert.strictEqual(calls[0].failure.reason, "failed");
+                assert.strictEqual(calls[0].failure.error, err);
+                assert.strictEqual(calls[0].failure.attempts, 3);
+                done();
+            });
+        });
+        it("should receive the original context of dropped events", function() {
+            var calls = [];
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport(),
+                maxBatchCount: 0,
+                maxQueueCount: 1,
+                queueOverflow: "dropOldest",
+                deadLetter: function(contexts, failure) {
+                    calls.push({contexts: contexts, failure: failure});
+                }
+            });
+            logger.error = function() {};
+
+            logger.send({message: {id: 1}});
+            logger.send({message: {id: 2}});
+            assert.strictEqual(calls.length, 1);
+            assert.deepEqual(calls[0].contexts[0].message, {id: 1});
+            assert.strictEqual(calls[0].failure.reason, "queueFull");
+            assert.strictEqual(calls[0].failure.attempts, 0);
+        });
+        it("should report errors from the sink", function(done) {
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport({
+                    respond: function() {
+                        return {statusCode: 403, body: {text: "Invalid token", code: 4}};
+                    }
+                }),
+                deadLetter: function() {
+                    throw new Error("Disk full");
+                }
+            });
+            var errors = [];
+            logger.error = function(err) {
+                errors.push(err.message);
+            };
+
+            logger.send({message: "something"}, function() {
+                assert.deepEqual(errors, ["Invalid token", "Disk full"]);
+                done();
+            });
+        });
+    });
+});
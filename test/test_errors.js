@@ -0,0 +1,75 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var SplunkError = require("../index").SplunkError;
+var assert = require("assert");
+
+describe("SplunkError", function() {
+    describe("constructor", function() {
+        it("should be an Error", function() {
+            var err = new SplunkError("Invalid token", {code: 4, statusCode: 403});
+            assert.ok(err instanceof Error);
+            assert.ok(err instanceof SplunkError);
+            assert.strictEqual(err.name, "SplunkError");
+            assert.strictEqual(err.message, "Invalid token");
+            assert.strictEqual(err.code, 4);
+            assert.strictEqual(err.statusCode, 403);
+            assert.ok(err.stack);
+        });
+        it("should default details to null", function() {
+            var err = new SplunkError("something");
+            assert.strictEqual(err.code, null);
+            assert.strictEqual(err.statusCode, null);
+            assert.strictEqual(err.response, null);
+            assert.strictEqual(err.body, null);
+            assert.strictEqual(err.cause, null);
+        });
+    });
+    describe("fromResponse", function() {
+        it("should return null on success", function() {
+            assert.strictEqual(SplunkError.fromResponse(null, {statusCode: 200}, {text: "Success", code: 0}), null);
+            assert.strictEqual(SplunkError.fromResponse(null, null, null), null);
+        });
+        it("should wrap an error sending events", function() {
+            var cause = new Error("connect ECONNREFUSED");
+            var err = SplunkError.fromResponse(cause);
+            assert.ok(err instanceof SplunkError);
+            assert.strictEqual(err.message, "connect ECONNREFUSED");
+            assert.strictEqual(err.cause, cause);
+            assert.strictEqual(err.statusCode, null);
+        });
+        it("should return a SplunkError as is", function() {
+            var original = new SplunkError("Invalid token", {code: 4});
+            assert.strictEqual(SplunkError.fromResponse(original), original);
+        });
+        it("should use the HTTP Event Collector error code", function() {
+            var resp = {statusCode: 403};
+            var body = {text: "Invalid token", code: 4};
+            var err = SplunkError.fromResponse(null, resp, body);
+            assert.strictEqual(err.message, "Invalid token");
+            assert.strictEqual(err.code, 4);
+            assert.strictEqual(err.statusCode, 403);
+            assert.strictEqual(err.response, resp);
+            assert.strictEqual(err.body, body);
+        });
+        it("should use the status code without a body", function() {
+            var err = SplunkError.fromResponse(null, {statusCode: 502}, "Bad Gateway");
+            assert.strictEqual(err.message, "Server responded with status 502");
+            assert.strictEqual(err.code, null);
+            assert.strictEqual(err.statusCode, 502);
+        });
+    });
+});
@@ -0,0 +1,345 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var FileQueue = require("../index").FileQueue;
+var MemoryTransport = require("../index").MemoryTransport;
+var SplunkLogger = require("../index").Logger;
+var assert = require("assert");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+
+/**
+ * Removes a queue directory, and every file in it.
+ */
+function removeDir(dir) {
+    if (fs.existsSync(dir)) {
+        fs.readdirSync(dir).forEach(function(name) {
+            fs.unlinkSync(path.join(dir, name));
+        });
+        fs.rmdirSync(dir);
+    }
+}
+
+describe("FileQueue", function() {
+    var dir = null;
+
+    beforeEach(function() {
+        dir = path.join(os.tmpdir(), "splunk-logging-test-" + process.pid + "-" + Date.now());
+    });
+    afterEach(function() {
+        removeDir(dir);
+    });
+
+    describe("constructor", function() {
+        it("should create the directory", function() {
+            var queue = new FileQueue({dir: dir});
+            assert.ok(fs.statSync(dir).isDirectory());
+            assert.strictEqual(queue.size, 0);
+            assert.strictEqual(queue.maxSize, 0);
+        });
+        it("should error without a directory", function() {
+            try {
+                var queue = new FileQueue({});
+                assert.fail(!queue, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Queue directory must be a string.");
+            }
+        });
+        it("should error with a negative maxSize", function() {
+            try {
+                var queue = new FileQueue({dir: dir, maxSize: -1});
+                assert.fail(!queue, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Max queue size must be a positive number, found: -1");
+            }
+        });
+    });
+    describe("queueing", function() {
+        it("should append pending events", function() {
+            var queue = new FileQueue({dir: dir});
+            assert.ok(queue.append("{\"event\":\"first\"}"));
+            assert.ok(queue.append("second line\n"));
+            assert.deepEqual(queue.pending(), ["{\"event\":\"first\"}", "second line\n"]);
+            assert.ok(queue.size > 0);
+        });
+        it("should commit pending events to a batch, and remove it", function() {
+            var queue = new FileQueue({dir: dir});
+            queue.append("first");
+            queue.append("second");
+            var batchId = queue.commit();
+            assert.strictEqual(batchId, 0);
+            assert.deepEqual(queue.pending(), []);
+            assert.deepEqual(queue.batches(), [{id: 0, events: ["first", "second"]}]);
+
+            queue.remove(batchId);
+            assert.deepEqual(queue.batches(), []);
+            assert.strictEqual(queue.size, 0);
+        });
+        it("should commit some pending events to a batch", function() {
+            var queue = new FileQueue({dir: dir});
+            queue.append("first");
+            queue.append("second");
+            queue.append("third");
+            var batchId = queue.commit(["second", "not pending"]);
+            assert.strictEqual(batchId, 0);
+            assert.deepEqual(queue.pending(), ["first", "third"]);
+            assert.deepEqual(queue.batches(), [{id: 0, events: ["second"]}]);
+            assert.strictEqual(queue.commit(["not pending"]), null);
+
+            queue.commit(["first", "third"]);
+            assert.deepEqual(queue.pending(), []);
+            assert.strictEqual(queue.size, new FileQueue({dir: dir}).size);
+        });
+        it("should not commit without pending events", function() {
+            var queue = new FileQueue({dir: dir});
+            assert.strictEqual(queue.commit(), null);
+            queue.remove(null);
+        });
+        it("should not append beyond maxSize", function() {
+            var queue = new FileQueue({dir: dir, maxSize: 20});
+            assert.ok(queue.append("0123456789"));
+            assert.ok(!queue.append("0123456789"));
+            assert.deepEqual(queue.pending(), ["0123456789"]);
+        });
+        it("should pick up where an earlier queue left off", function() {
+            var queue = new FileQueue({dir: dir});
+            queue.append("first");
+            queue.commit();
+            queue.append("second");
+            queue.commit();
+            queue.append("third");
+            // Partially written by a crash
+            fs.appendFileSync(path.join(dir, "pending.log"), "\"four");
+
+            var reopened = new FileQueue({dir: dir});
+            assert.strictEqual(reopened.size, queue.size + 5);
+            assert.deepEqual(reopened.pending(), ["third"]);
+            assert.deepEqual(reopened.batches(), [
+                {id: 0, events: ["first"]},
+                {id: 1, events: ["second"]}
+            ]);
+            assert.strictEqual(reopened.commit(), 2);
+        });
+    });
+    describe("with SplunkLogger", function() {
+        it("should error with a non-string queueDir", function() {
+            try {
+                var logger = new SplunkLogger({token: "token-goes-here", queueDir: 5});
+                assert.fail(!logger, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Queue directory must be a string.");
+            }
+        });
+        it("should write events to disk until they're sent", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: transport,
+                queueDir: dir,
+                maxBatchCount: 0
+            });
+
+            logger.send({message: "first"});
+            logger.send({message: "second"});
+            assert.strictEqual(logger._fileQueue.pending().length, 2);
+
+            logger.flush(function(err) {
+                assert.ok(!err);
+                assert.strictEqual(transport.events().length, 2);
+                assert.deepEqual(logger._fileQueue.pending(), []);
+                assert.deepEqual(logger._fileQueue.batches(), []);
+                done();
+            });
+            // Sending, but not sent yet
+            assert.strictEqual(logger._fileQueue.batches().length, 1);
+        });
+        it("should keep other lanes' events pending", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: transport,
+                queueDir: dir,
+                maxBatchCount: 0,
+                lanes: {
+                    error: {maxBatchCount: 1}
+                }
+            });
+
+            logger.send({message: "first"});
+            logger.send({message: "second", severity: "error"}, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(transport.events().length, 1);
+                assert.deepEqual(logger._fileQueue.batches(), []);
+                assert.deepEqual(logger._fileQueue.pending(), logger.serializedContextQueue);
+                assert.strictEqual(JSON.parse(logger._fileQueue.pending()[0]).event.message, "first");
+                done();
+            });
+        });
+        it("should keep batches that fail on disk", function(done) {
+            var transport = new MemoryTransport({
+                respond: function() {
+                    return {statusCode: 403, body: {text: "Invalid token", code: 4}};
+                }
+            });
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: transport,
+                queueDir: dir
+            });
+            logger.error = function() {};
+
+            logger.send({message: "first"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, 4);
+                assert.strictEqual(logger._fileQueue.batches().length, 1);
+                done();
+            });
+        });
+        it("should remove failed batches handed to the dead letter sink", function(done) {
+            var dead = [];
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport({
+                    respond: function() {
+                        return {statusCode: 403, body: {text: "Invalid token", code: 4}};
+                    }
+                }),
+                queueDir: dir,
+                deadLetter: function(contexts) {
+                    dead.push(contexts[0].message);
+                }
+            });
+            logger.error = function() {};
+
+            logger.send({message: "first"}, function() {
+                assert.deepEqual(dead, ["first"]);
+                assert.deepEqual(logger._fileQueue.batches(), []);
+
+                // Nothing is sent again after a restart
+                var transport = new MemoryTransport();
+                var restarted = new SplunkLogger({token: "token-goes-here", transport: transport, queueDir: dir});
+                setTimeout(function() {
+                    assert.strictEqual(transport.requests.length, 0);
+                    assert.deepEqual(restarted.pending(), []);
+                    done();
+                }, 10);
+            });
+        });
+        it("should replay unsent events on construction", function(done) {
+            var failing = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport({
+                    respond: function() {
+                        return {error: new Error("connect ECONNREFUSED")};
+                    }
+                }),
+                queueDir: dir,
+                maxBatchCount: 0
+            });
+            failing.error = function() {};
+
+            failing.send({message: "first"});
+            failing.flush(function(err) {
+                assert.ok(err);
+                // Not flushed before the "restart"
+                failing.send({message: "second"});
+
+                var transport = new MemoryTransport();
+                var logger = new SplunkLogger({
+                    token: "token-goes-here",
+                    transport: transport,
+                    queueDir: dir,
+                    maxBatchCount: 0
+                });
+                assert.strictEqual(logger.serializedContextQueue.length, 1);
+                assert.strictEqual(JSON.parse(logger.serializedContextQueue[0]).event.message, "second");
+                assert.strictEqual(logger.eventsBatchSize, Buffer.byteLength(logger.serializedContextQueue[0]));
+
+                // The failed batch is sent again right away, then the unflushed events
+                setTimeout(function() {
+                    var events = transport.events();
+                    assert.strictEqual(events.length, 2);
+                    assert.strictEqual(events[0].event.message, "first");
+                    assert.strictEqual(events[1].event.message, "second");
+                    assert.deepEqual(logger.serializedContextQueue, []);
+                    assert.deepEqual(logger._fileQueue.batches(), []);
+                    assert.deepEqual(logger._fileQueue.pending(), []);
+                    done();
+                }, 10);
+            });
+        });
+        it("should remove cleared events from disk", function() {
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport(),
+                queueDir: dir,
+                maxBatchCount: 0
+            });
+
+            logger.send({message: "first"});
+            logger.send({message: "second"});
+            logger.clear();
+            assert.deepEqual(logger._fileQueue.pending(), []);
+            assert.deepEqual(logger._fileQueue.batches(), []);
+            assert.strictEqual(logger._fileQueue.size, 0);
+        });
+        it("should remove cleared batches flushed while paused from disk", function() {
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport(),
+                queueDir: dir,
+                maxBatchCount: 0
+            });
+
+            logger.pause();
+            logger.send({message: "first"});
+            logger.flush();
+            assert.strictEqual(logger._fileQueue.batches().length, 1);
+            assert.strictEqual(logger.clear(), 1);
+            assert.deepEqual(logger._fileQueue.batches(), []);
+            assert.strictEqual(logger._fileQueue.size, 0);
+        });
+        it("should report events that don't fit in queueMaxSize", function(done) {
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                transport: new MemoryTransport(),
+                queueDir: dir,
+                queueMaxSize: 10
+            });
+
+            var run = false;
+            logger.error = function(err, context) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Queue directory is full, the event is only queued in memory.");
+                assert.strictEqual(context.message, "too big to fit");
+                run = true;
+            };
+
+            logger.send({message: "too big to fit"}, function(err) {
+                assert.ok(!err);
+                assert.ok(run);
+                done();
+            });
+        });
+    });
+});
@@ -15,7 +15,12 @@
  */
 
 var SplunkLogger = require("../index").Logger;
+var MemoryTransport = require("../index").MemoryTransport;
+var SplunkError = require("../index").SplunkError;
 var assert = require("assert");
+var crypto = require("crypto");
+var url = require("url");
+var zlib = require("zlib");
 
 /**
  * Load test configuration from test/config.json
@@ -1507,7 +1512,7 @@ describe("SplunkLogger send (integration tests)", function() {
             };
             logger.send(payload);
         });
-        it("should flush first 2 events after maxBatchSize>100", function(done) {
+        it("should flush the first event before the second goes over maxBatchSize=100", function(done) {
             var config = {
                 token: configurationFile.token,
                 maxBatchCount: 10,
@@ -1525,8 +1530,9 @@ describe("SplunkLogger send (integration tests)", function() {
 
                     assert.ok(!logger._timerID);
                     assert.strictEqual(posts, 1);
-                    assert.strictEqual(logger.serializedContextQueue.length, 0);
-                    assert.strictEqual(logger.eventsBatchSize, 0);
+                    // The second event is still queued
+                    assert.strictEqual(logger.serializedContextQueue.length, 1);
+                    assert.ok(logger.eventsBatchSize > 50);
 
                     assert.ok(!err);
                     assert.strictEqual(body.code, successBody.code);
@@ -1553,8 +1559,8 @@ describe("SplunkLogger send (integration tests)", function() {
             setTimeout(function() {
                 assert.ok(!logger._timerID);
                 assert.strictEqual(posts, 1);
-                assert.strictEqual(logger.serializedContextQueue.length, 0);
-                assert.strictEqual(logger.eventsBatchSize, 0);
+                assert.strictEqual(logger.serializedContextQueue.length, 1);
+                assert.ok(logger.eventsBatchSize > 50);
             }, 400);
         });
         it("should flush first event after 200ms, with maxBatchSize=200", function(done) {
@@ -1813,6 +1819,2877 @@ describe("SplunkLogger send (integration tests)", function() {
             }, 300);
         });
     });
+    describe("using indexer acknowledgement", function() {
+        it("should send the channel header, and only callback once events are indexed", function(done) {
+            var config = {
+                token: configurationFile.token,
+                ack: true,
+                ackInterval: 10
+            };
+            var logger = new SplunkLogger(config);
+
+            var polls = 0;
+            logger._post = function(opts, callback) {
+                assert.strictEqual(opts.headers["X-Splunk-Request-Channel"], logger.config.channel);
+                if (opts.url.indexOf(logger.config.ackPath) !== -1) {
+                    polls++;
+                    assert.deepEqual(opts.body, {acks: [7]});
+                    // Acknowledge on the 2nd poll
+                    var acks = {"7": polls > 1};
+                    callback(null, {body: {acks: acks}}, {acks: acks});
+                }
+                else {
+                    var body = {text: "Success", code: 0, ackId: 7};
+                    callback(null, {body: body}, body);
+                }
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, successBody.code);
+                assert.strictEqual(body.ackId, 7);
+                assert.strictEqual(polls, 2);
+                assert.strictEqual(Object.keys(logger._pendingAcks).length, 0);
+                done();
+            });
+        });
+        it("should callback immediately when no ackId is returned", function(done) {
+            var config = {
+                token: configurationFile.token,
+                ack: true
+            };
+            var logger = new SplunkLogger(config);
+
+            logger._post = function(opts, callback) {
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, successBody.code);
+                assert.ok(!logger._ackTimerID);
+                done();
+            });
+        });
+        it("should resend events when the ack times out", function(done) {
+            var config = {
+                token: configurationFile.token,
+                ack: true,
+                ackInterval: 10,
+                ackTimeout: 15
+            };
+            var logger = new SplunkLogger(config);
+
+            var sent = [];
+            var ackId = 0;
+            logger._post = function(opts, callback) {
+                if (opts.url.indexOf(logger.config.ackPath) !== -1) {
+                    // Only the resent batch gets indexed
+                    var acks = {};
+                    opts.body.acks.forEach(function(id) {
+                        acks[id] = id === 1;
+                    });
+                    callback(null, {body: {acks: acks}}, {acks: acks});
+                }
+                else {
+                    sent.push(opts.body);
+                    var body = {text: "Success", code: 0, ackId: ackId++};
+                    callback(null, {body: body}, body);
+                }
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.ackId, 1);
+                assert.strictEqual(sent.length, 2);
+                assert.strictEqual(sent[0], sent[1]);
+                done();
+            });
+        });
+        it("should not send the channel header without ack", function(done) {
+            var config = {
+                token: configurationFile.token
+            };
+            var logger = new SplunkLogger(config);
+
+            logger._post = function(opts, callback) {
+                assert.ok(!opts.headers.hasOwnProperty("X-Splunk-Request-Channel"));
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.send({message: "something"}, function(err) {
+                assert.ok(!err);
+                assert.ok(!logger.requestOptions.headers.hasOwnProperty("Authorization"));
+                done();
+            });
+        });
+    });
+    describe("using raw mode", function() {
+        it("should post newline delimited events to the raw endpoint, with metadata as query parameters", function(done) {
+            var config = {
+                token: configurationFile.token,
+                mode: "raw",
+                maxBatchCount: 2,
+                metadata: {
+                    host: "farm.local",
+                    source: "chicken coop",
+                    sourcetype: "httpevent",
+                    index: "main"
+                }
+            };
+            var logger = new SplunkLogger(config);
+            logger.eventFormatter = function(message, severity) {
+                return "[" + severity + "] " + message;
+            };
+
+            logger._post = function(opts, callback) {
+                var parsed = url.parse(opts.url, true);
+                assert.strictEqual(parsed.pathname, "/services/collector/raw");
+                assert.strictEqual(parsed.query.host, "farm.local");
+                assert.strictEqual(parsed.query.source, "chicken coop");
+                assert.strictEqual(parsed.query.sourcetype, "httpevent");
+                assert.strictEqual(parsed.query.index, "main");
+                assert.strictEqual(parsed.query.channel, logger.config.channel);
+                assert.strictEqual(opts.body, "[info] first\n[warn] second\n");
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.send({message: "first"});
+            logger.send({message: "second", severity: "warn"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, successBody.code);
+                done();
+            });
+        });
+        it("should send non-string events as JSON lines", function(done) {
+            var config = {
+                token: configurationFile.token,
+                mode: "raw"
+            };
+            var logger = new SplunkLogger(config);
+
+            logger._post = function(opts, callback) {
+                assert.strictEqual(opts.body, JSON.stringify({message: {temperature: "70F"}, severity: "info"}) + "\n");
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.send({message: {temperature: "70F"}}, function(err) {
+                assert.ok(!err);
+                done();
+            });
+        });
+        it("should flush based on the size of raw events", function(done) {
+            var config = {
+                token: configurationFile.token,
+                mode: "raw",
+                maxBatchCount: 0,
+                maxBatchSize: 12
+            };
+            var logger = new SplunkLogger(config);
+            logger.eventFormatter = function(message) {
+                return message;
+            };
+
+            logger._post = function(opts, callback) {
+                assert.strictEqual(opts.body, "12345\n67890\n");
+                callback(null, {body: successBody}, successBody);
+            };
+
+            var run = false;
+            logger.send({message: "12345"});
+            assert.strictEqual(logger.eventsBatchSize, 6);
+            logger.send({message: "67890"}, function(err) {
+                assert.ok(!err);
+                run = true;
+            });
+            assert.strictEqual(logger.eventsBatchSize, 12);
+            // Flushed before the third event goes over maxBatchSize
+            logger.send({message: "abcde"});
+            assert.ok(run);
+            assert.strictEqual(logger.eventsBatchSize, 6);
+            done();
+        });
+    });
+    describe("using compression", function() {
+        it("should gzip the batch and set the Content-Encoding header", function(done) {
+            var config = {
+                token: configurationFile.token,
+                compression: "gzip",
+                maxBatchCount: 2
+            };
+            var logger = new SplunkLogger(config);
+
+            var expected;
+            logger._post = function(opts, callback) {
+                assert.strictEqual(opts.headers["Content-Encoding"], "gzip");
+                assert.ok(Buffer.isBuffer(opts.body));
+                assert.strictEqual(zlib.gunzipSync(opts.body).toString(), expected);
+                callback(null, {statusCode: 200, body: successBody}, successBody);
+            };
+
+            var first = {message: "first", metadata: {time: 1444000000}};
+            var second = {message: "second", metadata: {time: 1444000000}};
+            expected = logger._serializeEvent(first) + logger._serializeEvent(second);
+
+            logger.send(first);
+            logger.send(second, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, successBody.code);
+                assert.strictEqual(body.text, successBody.text);
+                assert.strictEqual(resp.body, body);
+                done();
+            });
+        });
+        it("should deflate the batch", function(done) {
+            var config = {
+                token: configurationFile.token,
+                compression: "deflate"
+            };
+            var logger = new SplunkLogger(config);
+
+            logger._post = function(opts, callback) {
+                assert.strictEqual(opts.headers["Content-Encoding"], "deflate");
+                assert.strictEqual(JSON.parse(zlib.inflateSync(opts.body).toString()).event.message, "something");
+                callback(null, {statusCode: 200, body: successBody}, successBody);
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, successBody.code);
+                done();
+            });
+        });
+        it("should fall back to uncompressed when the server rejects compressed requests", function(done) {
+            var config = {
+                token: configurationFile.token,
+                compression: "gzip"
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = [];
+            logger._post = function(opts, callback) {
+                posts.push(opts.headers["Content-Encoding"]);
+                if (opts.headers["Content-Encoding"]) {
+                    callback(null, {statusCode: 415}, "Unsupported Media Type");
+                }
+                else {
+                    assert.strictEqual(typeof opts.body, "string");
+                    callback(null, {statusCode: 200, body: successBody}, successBody);
+                }
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, successBody.code);
+                assert.deepEqual(posts, ["gzip", undefined]);
+
+                // Subsequent requests aren't compressed
+                logger.send({message: "something else"}, function(err) {
+                    assert.ok(!err);
+                    assert.deepEqual(posts, ["gzip", undefined, undefined]);
+                    done();
+                });
+            });
+        });
+        it("should not fall back to uncompressed when the server rejects the events", function(done) {
+            var transport = new MemoryTransport({
+                respond: function() {
+                    return {statusCode: 400, body: {text: "Invalid data format", code: 6}};
+                }
+            });
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, compression: "gzip"});
+            logger.error = function() {};
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, 6);
+                assert.strictEqual(transport.requests.length, 1);
+                assert.strictEqual(logger._compressionRejected, false);
+                done();
+            });
+        });
+        it("should measure maxBatchSize on compressed bytes", function() {
+            var config = {
+                token: configurationFile.token,
+                compression: "gzip",
+                compressedBatchSize: true,
+                maxBatchCount: 0,
+                maxBatchSize: 200
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function() {
+                posts++;
+            };
+
+            // These repetitive events compress well, so more than 200 uncompressed bytes are queued
+            for (var i = 0; i < 5; i++) {
+                logger.send({message: "the same message, over and over again"});
+            }
+            assert.strictEqual(posts, 0);
+            assert.ok(logger.eventsBatchSize > config.maxBatchSize);
+        });
+        it("should split batches that are too large once compressed", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                transport: transport,
+                compression: "gzip",
+                compressedBatchSize: true,
+                maxBatchCount: 0,
+                maxBatchSize: 250
+            });
+            // Estimate far better compression than these events get
+            logger._compressionRatio = 0.01;
+
+            for (var i = 0; i < 8; i++) {
+                logger.send({message: crypto.randomBytes(40).toString("hex")});
+            }
+            assert.strictEqual(transport.requests.length, 0);
+
+            logger.flush(function(err) {
+                assert.ok(!err);
+                assert.ok(transport.requests.length > 1);
+                transport.requests.forEach(function(request) {
+                    assert.ok(request.payload.length <= 250);
+                });
+                assert.strictEqual(transport.events().length, 8);
+                assert.ok(logger._compressionRatio > 0.1);
+                done();
+            });
+        });
+    });
+    describe("using endpoint failover", function() {
+        it("should send to the first endpoint while it is healthy", function(done) {
+            var config = {
+                token: configurationFile.token,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var urls = [];
+            logger._post = function(opts, callback) {
+                urls.push(opts.url);
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.send({message: "something"}, function(err, resp) {
+                assert.ok(!err);
+                assert.strictEqual(resp.endpoint, "https://hec1.splunk.local:8088");
+                assert.deepEqual(urls, ["https://hec1.splunk.local:8088/services/collector/event/1.0"]);
+                done();
+            });
+        });
+        it("should fail over to the next endpoint after maxRetries", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 1,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var urls = [];
+            logger._post = function(opts, callback) {
+                urls.push(url.parse(opts.url).host);
+                if (opts.url.indexOf("hec1") !== -1) {
+                    callback(new Error("connect ECONNREFUSED"));
+                }
+                else {
+                    callback(null, {body: successBody}, successBody);
+                }
+            };
+            logger.error = function() {
+                assert.ok(false, "Expected no errors.");
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, successBody.code);
+                assert.strictEqual(resp.endpoint, "https://hec2.splunk.local:8088");
+                assert.deepEqual(urls, ["hec1.splunk.local:8088", "hec1.splunk.local:8088", "hec2.splunk.local:8088"]);
+
+                // The unhealthy endpoint is skipped for the next batch
+                urls = [];
+                logger.send({message: "something else"}, function(err, resp) {
+                    assert.ok(!err);
+                    assert.strictEqual(resp.endpoint, "https://hec2.splunk.local:8088");
+                    assert.deepEqual(urls, ["hec2.splunk.local:8088"]);
+                    done();
+                });
+            });
+        });
+        it("should probe the primary endpoint again after probeInterval", function(done) {
+            var config = {
+                token: configurationFile.token,
+                probeInterval: 20,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var primaryDown = true;
+            logger._post = function(opts, callback) {
+                if (primaryDown && opts.url.indexOf("hec1") !== -1) {
+                    callback(new Error("connect ECONNREFUSED"));
+                }
+                else {
+                    callback(null, {body: successBody}, successBody);
+                }
+            };
+
+            logger.send({message: "something"}, function(err, resp) {
+                assert.ok(!err);
+                assert.strictEqual(resp.endpoint, "https://hec2.splunk.local:8088");
+                assert.strictEqual(logger._getEndpointState("https://hec1.splunk.local:8088").healthy, false);
+
+                primaryDown = false;
+                setTimeout(function() {
+                    logger.send({message: "something else"}, function(err, resp) {
+                        assert.ok(!err);
+                        assert.strictEqual(resp.endpoint, "https://hec1.splunk.local:8088");
+                        assert.strictEqual(logger._getEndpointState("https://hec1.splunk.local:8088").healthy, true);
+                        done();
+                    });
+                }, 30);
+            });
+        });
+        it("should report the last endpoint when all endpoints fail", function(done) {
+            var config = {
+                token: configurationFile.token,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(new Error("connect ECONNREFUSED"));
+            };
+
+            var run = false;
+            logger.error = function(err) {
+                assert.ok(err);
+                run = true;
+            };
+
+            logger.send({message: "something"}, function(err, resp) {
+                assert.ok(err);
+                assert.ok(run);
+                assert.ok(!resp);
+                assert.strictEqual(err.endpoint, "https://hec2.splunk.local:8088");
+                assert.strictEqual(posts, 2);
+
+                // Both endpoints are unhealthy, the primary is still tried
+                posts = 0;
+                logger.send({message: "something else"}, function(err) {
+                    assert.ok(err);
+                    assert.strictEqual(err.endpoint, "https://hec1.splunk.local:8088");
+                    assert.strictEqual(posts, 1);
+                    done();
+                });
+            });
+        });
+        it("should not fail over on Splunk errors", function(done) {
+            var config = {
+                token: configurationFile.token,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(null, {body: invalidTokenBody}, invalidTokenBody);
+            };
+            logger.error = function() {};
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, invalidTokenBody.code);
+                assert.strictEqual(resp.endpoint, "https://hec1.splunk.local:8088");
+                assert.strictEqual(posts, 1);
+                done();
+            });
+        });
+        it("should poll for indexer acknowledgement on the endpoint the events were sent to", function(done) {
+            var config = {
+                token: configurationFile.token,
+                ack: true,
+                ackInterval: 10,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            logger._post = function(opts, callback) {
+                var host = url.parse(opts.url).hostname;
+                if (host === "hec1.splunk.local") {
+                    callback(new Error("connect ECONNREFUSED"));
+                }
+                else if (opts.url.indexOf(logger.config.ackPath) !== -1) {
+                    callback(null, {body: {acks: {"0": true}}}, {acks: {"0": true}});
+                }
+                else {
+                    var body = {text: "Success", code: 0, ackId: 0};
+                    callback(null, {body: body}, body);
+                }
+            };
+            logger.error = function() {};
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.ackId, 0);
+                assert.strictEqual(resp.endpoint, "https://hec2.splunk.local:8088");
+                done();
+            });
+        });
+    });
+    describe("using endpoint load balancing", function() {
+        it("should take turns between endpoints with roundRobin", function(done) {
+            var config = {
+                token: configurationFile.token,
+                endpointPolicy: "roundRobin",
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088", "https://hec3.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var hosts = [];
+            logger._post = function(opts, callback) {
+                hosts.push(url.parse(opts.url).hostname);
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.send({message: "1"});
+            logger.send({message: "2"});
+            logger.send({message: "3"});
+            logger.send({message: "4"}, function(err) {
+                assert.ok(!err);
+                assert.deepEqual(hosts, ["hec1.splunk.local", "hec2.splunk.local", "hec3.splunk.local", "hec1.splunk.local"]);
+                done();
+            });
+        });
+        it("should skip unhealthy endpoints with roundRobin", function(done) {
+            var config = {
+                token: configurationFile.token,
+                endpointPolicy: "roundRobin",
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088", "https://hec3.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var hosts = [];
+            logger._post = function(opts, callback) {
+                var host = url.parse(opts.url).hostname;
+                hosts.push(host);
+                if (host === "hec2.splunk.local") {
+                    callback(new Error("connect ECONNREFUSED"));
+                }
+                else {
+                    callback(null, {body: successBody}, successBody);
+                }
+            };
+
+            logger.send({message: "1"}, function() {
+                logger.send({message: "2"}, function(err, resp) {
+                    assert.ok(!err);
+                    assert.strictEqual(resp.endpoint, "https://hec3.splunk.local:8088");
+                    logger.send({message: "3"}, function() {
+                        logger.send({message: "4"}, function() {
+                            assert.deepEqual(hosts, [
+                                "hec1.splunk.local",
+                                "hec2.splunk.local",
+                                "hec3.splunk.local",
+                                "hec1.splunk.local",
+                                "hec3.splunk.local"
+                            ]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+        it("should send to the endpoint with the fewest requests in progress with leastInFlight", function(done) {
+            var config = {
+                token: configurationFile.token,
+                endpointPolicy: "leastInFlight",
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            // Requests to hec1 never finish
+            var hosts = [];
+            logger._post = function(opts, callback) {
+                var host = url.parse(opts.url).hostname;
+                hosts.push(host);
+                if (host === "hec2.splunk.local") {
+                    callback(null, {body: successBody}, successBody);
+                }
+            };
+
+            logger.send({message: "1"});
+            logger.send({message: "2"}, function() {
+                logger.send({message: "3"}, function() {
+                    assert.deepEqual(hosts, ["hec1.splunk.local", "hec2.splunk.local", "hec2.splunk.local"]);
+                    assert.strictEqual(logger._getEndpointState("https://hec1.splunk.local:8088").inFlight, 1);
+                    assert.strictEqual(logger._getEndpointState("https://hec2.splunk.local:8088").inFlight, 0);
+                    done();
+                });
+            });
+        });
+        it("should add and remove endpoints at runtime", function(done) {
+            var config = {
+                token: configurationFile.token,
+                url: "https://hec1.splunk.local:8088",
+                endpointPolicy: "roundRobin"
+            };
+            var logger = new SplunkLogger(config);
+
+            var hosts = [];
+            logger._post = function(opts, callback) {
+                hosts.push(url.parse(opts.url).hostname);
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.addEndpoint("https://hec2.splunk.local:8088");
+            logger.addEndpoint("https://hec2.splunk.local:8088/ignored");
+            assert.deepEqual(logger.config.endpoints, ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]);
+
+            logger.send({message: "1"});
+            logger.send({message: "2"}, function() {
+                logger.removeEndpoint("https://hec1.splunk.local:8088");
+                assert.deepEqual(logger.config.endpoints, ["https://hec2.splunk.local:8088"]);
+
+                logger.send({message: "3"}, function() {
+                    assert.deepEqual(hosts, ["hec1.splunk.local", "hec2.splunk.local", "hec2.splunk.local"]);
+
+                    try {
+                        logger.removeEndpoint("https://hec2.splunk.local:8088");
+                        assert.ok(false, "Expected an error.");
+                    }
+                    catch (err) {
+                        assert.ok(err);
+                        assert.strictEqual(err.message, "Cannot remove the only endpoint.");
+                    }
+                    done();
+                });
+            });
+        });
+    });
+    describe("using retries on a busy server", function() {
+        var busyBody = {
+            text: "Server is busy",
+            code: 9
+        };
+
+        it("should retry when the server is busy", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 2
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                if (posts === 1) {
+                    callback(null, {statusCode: 503, headers: {}, body: busyBody}, busyBody);
+                }
+                else {
+                    callback(null, {statusCode: 200, headers: {}, body: successBody}, successBody);
+                }
+            };
+            logger.error = function() {
+                assert.ok(false, "Expected no errors.");
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(posts, 2);
+                assert.strictEqual(resp.statusCode, 200);
+                assert.deepEqual(body, successBody);
+                done();
+            });
+        });
+        it("should retry on a 429 response without a Splunk error body", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 1
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(null, {statusCode: 429, headers: {}, body: "Too Many Requests"}, "Too Many Requests");
+            };
+
+            var run = false;
+            logger.error = function(err, context) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Server responded with status 429");
+                assert.ok(context);
+                run = true;
+            };
+
+            logger.send({message: "something"}, function(err, resp) {
+                assert.ok(!err);
+                assert.strictEqual(posts, 2);
+                assert.strictEqual(resp.statusCode, 429);
+                assert.ok(run);
+                done();
+            });
+        });
+        it("should honor the Retry-After header", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 1
+            };
+            var logger = new SplunkLogger(config);
+
+            var times = [];
+            logger._post = function(opts, callback) {
+                times.push(Date.now());
+                if (times.length === 1) {
+                    callback(null, {statusCode: 503, headers: {"retry-after": "1"}, body: busyBody}, busyBody);
+                }
+                else {
+                    callback(null, {statusCode: 200, headers: {}, body: successBody}, successBody);
+                }
+            };
+
+            logger.send({message: "something"}, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(times.length, 2);
+                // Much longer than the first exponential backoff, which is at most 40ms
+                assert.ok(times[1] - times[0] >= 900);
+                done();
+            });
+        });
+        it("should not retry when the server is busy, with custom retryable codes and statuses", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 2,
+                retryableCodes: [],
+                retryableStatuses: []
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(null, {statusCode: 503, headers: {}, body: busyBody}, busyBody);
+            };
+
+            var run = false;
+            logger.error = function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Server is busy");
+                assert.strictEqual(err.code, 9);
+                run = true;
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(posts, 1);
+                assert.deepEqual(body, busyBody);
+                assert.ok(run);
+                done();
+            });
+        });
+        it("should fail over when an endpoint stays busy", function(done) {
+            var config = {
+                token: configurationFile.token,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            var hosts = [];
+            logger._post = function(opts, callback) {
+                var host = url.parse(opts.url).hostname;
+                hosts.push(host);
+                if (host === "hec1.splunk.local") {
+                    callback(null, {statusCode: 503, headers: {}, body: busyBody}, busyBody);
+                }
+                else {
+                    callback(null, {statusCode: 200, headers: {}, body: successBody}, successBody);
+                }
+            };
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.deepEqual(hosts, ["hec1.splunk.local", "hec2.splunk.local"]);
+                assert.strictEqual(resp.endpoint, "https://hec2.splunk.local:8088");
+                assert.deepEqual(body, successBody);
+                // A busy endpoint is still reachable
+                assert.ok(logger._isEndpointAvailable("https://hec1.splunk.local:8088"));
+                done();
+            });
+        });
+    });
+    describe("using a custom retry policy", function() {
+        it("should call onRetry with the delay before each retry", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 3,
+                retryBaseDelay: 5,
+                retryMultiplier: 3,
+                retryMaxDelay: 50,
+                retryJitter: "equal"
+            };
+            var logger = new SplunkLogger(config);
+
+            logger._post = function(opts, callback) {
+                callback(new Error("connect ECONNREFUSED"));
+            };
+            logger.error = function() {};
+
+            var retries = [];
+            logger.onRetry = function(err, context, retry) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "connect ECONNREFUSED");
+                assert.ok(context);
+                assert.strictEqual(retry.endpoint, "https://localhost:8088");
+                retries.push(retry);
+            };
+
+            logger.send({message: "something"}, function(err) {
+                assert.ok(err);
+                assert.strictEqual(retries.length, 3);
+                // Equal jitter waits between half and all of 5 * 3^attempt, up to 50ms
+                var ranges = [[8, 15], [23, 45], [25, 50]];
+                retries.forEach(function(retry, i) {
+                    assert.strictEqual(retry.attempt, i + 1);
+                    assert.ok(ranges[i][0] <= retry.delay && retry.delay <= ranges[i][1], "Unexpected delay: " + retry.delay);
+                });
+                done();
+            });
+        });
+        it("should report the Retry-After delay to onRetry", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 1
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            var busyBody = {text: "Server is busy", code: 9};
+            logger._post = function(opts, callback) {
+                posts++;
+                if (posts === 1) {
+                    callback(null, {statusCode: 503, headers: {"retry-after": "0"}, body: busyBody}, busyBody);
+                }
+                else {
+                    callback(null, {statusCode: 200, headers: {}, body: successBody}, successBody);
+                }
+            };
+
+            var delays = [];
+            logger.onRetry = function(err, context, retry) {
+                assert.strictEqual(err.code, 9);
+                delays.push(retry.delay);
+            };
+
+            logger.send({message: "something"}, function(err) {
+                assert.ok(!err);
+                assert.deepEqual(delays, [0]);
+                done();
+            });
+        });
+        it("should give up once the retry budget runs out", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 100,
+                retryBaseDelay: 20,
+                retryMultiplier: 1,
+                retryJitter: "full",
+                retryBudget: 100,
+                endpoints: ["https://hec1.splunk.local:8088", "https://hec2.splunk.local:8088"]
+            };
+            var logger = new SplunkLogger(config);
+
+            logger._post = function(opts, callback) {
+                callback(new Error("connect ECONNREFUSED"));
+            };
+            // Each retry is due no sooner than the sum of the delays so far,
+            // or later if timers fire late, which only leaves time for fewer retries.
+            var waited = 0;
+            var times = [];
+            logger.onRetry = function(err, context, retry) {
+                waited += retry.delay;
+                times.push(waited);
+            };
+
+            var run = false;
+            logger.error = function(err) {
+                assert.ok(err);
+                run = true;
+            };
+
+            logger.send({message: "something"}, function(err) {
+                assert.ok(err);
+                assert.ok(run);
+                // The budget ran out well before maxRetries
+                assert.ok(times.length > 0 && times.length < 100);
+                times.forEach(function(time) {
+                    assert.ok(time <= 100, "Retried after the budget ran out: " + time);
+                });
+                done();
+            });
+        });
+    });
+    describe("using a circuit breaker", function() {
+        it("should open after consecutive failures, and queue events until it closes", function(done) {
+            var config = {
+                token: configurationFile.token,
+                circuitBreakerThreshold: 2,
+                circuitBreakerCooldown: 50
+            };
+            var logger = new SplunkLogger(config);
+
+            var down = true;
+            var posts = [];
+            logger._post = function(opts, callback) {
+                posts.push(opts.body);
+                if (down) {
+                    callback(new Error("connect ECONNREFUSED"));
+                }
+                else {
+                    callback(null, {statusCode: 200, headers: {}, body: successBody}, successBody);
+                }
+            };
+            logger.error = function() {};
+
+            var states = [];
+            logger.onCircuitStateChange = function(state, previous) {
+                states.push(previous + " -> " + state);
+            };
+
+            logger.send({message: "1"}, function(err) {
+                assert.ok(err);
+                logger.send({message: "2"}, function(err) {
+                    assert.ok(err);
+                    assert.strictEqual(logger._circuit.state, "open");
+                    assert.deepEqual(states, ["closed -> open"]);
+
+                    // Held back while the circuit breaker is open
+                    var sent = [];
+                    logger.send({message: "3"}, function(err) {
+                        assert.ok(!err);
+                        sent.push(3);
+                    });
+                    logger.send({message: "4"}, function(err) {
+                        assert.ok(!err);
+                        sent.push(4);
+                        assert.deepEqual(sent, [3, 4]);
+                        assert.strictEqual(posts.length, 4);
+                        assert.strictEqual(logger._circuit.state, "closed");
+                        assert.deepEqual(states, ["closed -> open", "open -> half-open", "half-open -> closed"]);
+                        done();
+                    });
+                    assert.strictEqual(posts.length, 2);
+                    assert.strictEqual(logger._circuit.queue.length, 2);
+                    down = false;
+                });
+            });
+        });
+        it("should open again when the probe fails", function(done) {
+            var config = {
+                token: configurationFile.token,
+                circuitBreakerThreshold: 1,
+                circuitBreakerCooldown: 20
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(new Error("connect ECONNREFUSED"));
+            };
+            logger.error = function() {};
+
+            var states = [];
+            logger.onCircuitStateChange = function(state) {
+                states.push(state);
+            };
+
+            logger.send({message: "1"}, function() {
+                assert.strictEqual(logger._circuit.state, "open");
+                setTimeout(function() {
+                    // The cooldown has passed, so this batch probes the endpoint
+                    logger.send({message: "2"}, function(err) {
+                        assert.ok(err);
+                        assert.strictEqual(posts, 2);
+                        assert.deepEqual(states, ["open", "half-open", "open"]);
+                        logger._setCircuitState("closed");
+                        done();
+                    });
+                }, 40);
+            });
+        });
+        it("should drop events while open with the drop policy", function(done) {
+            var config = {
+                token: configurationFile.token,
+                circuitBreakerThreshold: 1,
+                circuitBreakerPolicy: "drop"
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(new Error("connect ECONNREFUSED"));
+            };
+
+            var errors = [];
+            logger.error = function(err, context) {
+                errors.push(err.message);
+                assert.ok(context);
+            };
+
+            logger.send({message: "1"}, function() {
+                logger.send({message: "2"}, function(err, resp) {
+                    assert.ok(err);
+                    assert.strictEqual(err.message, "Circuit breaker is open, events were dropped.");
+                    assert.ok(!resp);
+                    assert.strictEqual(posts, 1);
+                    assert.deepEqual(errors, ["connect ECONNREFUSED", "Circuit breaker is open, events were dropped."]);
+                    // Cooling down doesn't keep the process alive
+                    assert.strictEqual(logger._circuit.timerID.hasRef(), false);
+                    logger._setCircuitState("closed");
+                    done();
+                });
+            });
+        });
+        it("should not open on Splunk errors", function(done) {
+            var config = {
+                token: configurationFile.token,
+                circuitBreakerThreshold: 1
+            };
+            var logger = new SplunkLogger(config);
+
+            var invalidToken = {text: "Invalid token", code: 4};
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 403, headers: {}, body: invalidToken}, invalidToken);
+            };
+            logger.error = function() {};
+
+            logger.send({message: "1"}, function() {
+                assert.strictEqual(logger._circuit.state, "closed");
+                assert.strictEqual(logger._circuit.failures, 0);
+                done();
+            });
+        });
+        it("should open on error responses without a HEC code", function(done) {
+            var config = {
+                token: configurationFile.token,
+                circuitBreakerThreshold: 1,
+                circuitBreakerPolicy: "drop"
+            };
+            var logger = new SplunkLogger(config);
+
+            var page = "<html><body>Bad Gateway</body></html>";
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 502, headers: {}, body: page}, page);
+            };
+
+            var errors = [];
+            logger.error = function(err) {
+                errors.push(err);
+            };
+            var sent = 0;
+            var dropped = [];
+            logger.on("sent", function() {
+                sent++;
+            });
+            logger.on("drop", function(info) {
+                dropped.push(info.reason);
+            });
+
+            logger.send({message: "1"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(resp.statusCode, 502);
+                assert.strictEqual(body, page);
+                assert.strictEqual(errors.length, 1);
+                assert.ok(errors[0] instanceof SplunkError);
+                assert.strictEqual(errors[0].message, "Server responded with status 502");
+                assert.strictEqual(errors[0].code, null);
+                assert.strictEqual(sent, 0);
+                assert.deepEqual(dropped, ["failed"]);
+                assert.strictEqual(logger._circuit.state, "open");
+                logger._setCircuitState("closed");
+                done();
+            });
+        });
+    });
+    describe("using a bounded queue", function() {
+        var queuedMessages = function(logger) {
+            return logger.serializedContextQueue.map(function(event) {
+                return JSON.parse(event).event.message;
+            });
+        };
+
+        it("should drop the newest events with dropNewest", function() {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                maxQueueCount: 2
+            };
+            var logger = new SplunkLogger(config);
+
+            var errors = [];
+            logger.error = function(err, context) {
+                assert.strictEqual(err.message, "Queue is full, dropped an event.");
+                errors.push(context.message);
+            };
+
+            logger.send({message: "1"});
+            logger.send({message: "2"});
+            logger.send({message: "3"});
+            logger.send({message: "4"});
+            assert.deepEqual(queuedMessages(logger), ["1", "2"]);
+            assert.deepEqual(errors, ["3", "4"]);
+            assert.strictEqual(logger.droppedEvents, 2);
+        });
+        it("should drop the oldest events with dropOldest", function() {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                maxQueueCount: 2,
+                queueOverflow: "dropOldest"
+            };
+            var logger = new SplunkLogger(config);
+
+            var errors = [];
+            logger.error = function(err, context) {
+                assert.strictEqual(err.droppedEvents, errors.length + 1);
+                errors.push(JSON.parse(context.message).event.message);
+            };
+
+            logger.send({message: "1"});
+            logger.send({message: "2"});
+            logger.send({message: "3"});
+            logger.send({message: "4"});
+            assert.deepEqual(queuedMessages(logger), ["3", "4"]);
+            assert.deepEqual(errors, ["1", "2"]);
+            assert.strictEqual(logger.eventsBatchSize, Buffer.byteLength(logger.serializedContextQueue.join("")));
+        });
+        it("should drop the oldest events with the lowest severity with dropLowestSeverity", function() {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                maxQueueCount: 3,
+                queueOverflow: "dropLowestSeverity"
+            };
+            var logger = new SplunkLogger(config);
+
+            var errors = [];
+            logger.error = function(err, context) {
+                errors.push(context.severity);
+            };
+
+            logger.send({message: "1", severity: "error"});
+            logger.send({message: "2", severity: "info"});
+            logger.send({message: "3", severity: "warn"});
+            logger.send({message: "4", severity: "info"});
+            assert.deepEqual(queuedMessages(logger), ["1", "3", "4"]);
+
+            // The new event has the lowest severity
+            logger.send({message: "5", severity: "debug"});
+            assert.deepEqual(queuedMessages(logger), ["1", "3", "4"]);
+
+            logger.send({message: "6", severity: "error"});
+            logger.send({message: "7", severity: "error"});
+            assert.deepEqual(queuedMessages(logger), ["1", "6", "7"]);
+            assert.deepEqual(errors, ["info", "debug", "info", "warn"]);
+        });
+        it("should drop events by size with maxQueueBytes", function() {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                queueOverflow: "dropOldest"
+            };
+            var logger = new SplunkLogger(config);
+            logger.error = function() {};
+
+            logger.send({message: "1"});
+            var eventSize = logger.eventsBatchSize;
+            logger.config.maxQueueBytes = eventSize * 2;
+
+            logger.send({message: "2"});
+            logger.send({message: "3"});
+            assert.deepEqual(queuedMessages(logger), ["2", "3"]);
+
+            // Too large to ever fit
+            logger.send({message: new Array(200).join("too large ")});
+            assert.deepEqual(queuedMessages(logger), []);
+            assert.strictEqual(logger.eventsBatchSize, 0);
+            assert.strictEqual(logger.droppedEvents, 4);
+        });
+        it("should spill events with spill", function() {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                maxQueueCount: 1,
+                queueOverflow: "spill"
+            };
+            var logger = new SplunkLogger(config);
+            logger.error = function() {
+                assert.ok(false, "Expected no errors.");
+            };
+
+            var spilled = [];
+            logger.onSpill = function(context) {
+                spilled.push(context.message);
+            };
+
+            logger.send({message: "1"});
+            logger.send({message: "2"});
+            assert.deepEqual(queuedMessages(logger), ["1"]);
+            assert.deepEqual(spilled, ["2"]);
+            assert.strictEqual(logger.droppedEvents, 0);
+        });
+        it("should flush a full queue", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                maxQueueCount: 1
+            };
+            var logger = new SplunkLogger(config);
+            logger.error = function() {};
+
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {body: successBody}, successBody);
+            };
+
+            logger.send({message: "1"});
+            logger.send({message: "2"});
+            logger.flush(function(err) {
+                assert.ok(!err);
+                logger.send({message: "3"});
+                assert.deepEqual(queuedMessages(logger), ["3"]);
+                assert.strictEqual(bodies.length, 1);
+                assert.strictEqual(JSON.parse(bodies[0]).event.message, "1");
+                done();
+            });
+        });
+        it("should count batches held by the circuit breaker", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxQueueCount: 5,
+                circuitBreakerThreshold: 1
+            };
+            var logger = new SplunkLogger(config);
+            logger.error = function() {};
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(new Error("connect ECONNREFUSED"));
+            };
+
+            var errors = [];
+            var record = function(err) {
+                errors.push(err.message);
+            };
+            logger.send({message: "0"}, function() {
+                assert.strictEqual(logger._circuit.state, "open");
+
+                for (var i = 1; i <= 500; i++) {
+                    logger.send({message: String(i)}, record);
+                }
+                assert.strictEqual(posts, 1);
+                assert.strictEqual(logger._circuit.queue.length, 5);
+                assert.strictEqual(logger.queueState().inFlightCount, 5);
+                assert.strictEqual(logger.droppedEvents, 495);
+                assert.strictEqual(errors.length, 495);
+                assert.strictEqual(errors[0], "Queue is full, dropped an event.");
+                logger._setCircuitState("closed");
+                done();
+            });
+        });
+        it("should drop the oldest held batches with dropOldest", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxQueueCount: 2,
+                queueOverflow: "dropOldest",
+                circuitBreakerThreshold: 1
+            };
+            var logger = new SplunkLogger(config);
+
+            var drops = [];
+            logger.on("drop", function(drop) {
+                drops.push(drop.reason);
+            });
+            logger.error = function() {};
+            logger._post = function(opts, callback) {
+                callback(new Error("connect ECONNREFUSED"));
+            };
+
+            var results = {};
+            var record = function(name) {
+                return function(err) {
+                    results[name] = err.message;
+                };
+            };
+            logger.send({message: "0"}, function() {
+                logger.send({message: "1"}, record("1"));
+                logger.send({message: "2"}, record("2"));
+                logger.send({message: "3"}, record("3"));
+                assert.deepEqual(results, {1: "Queue is full, dropped an event."});
+                assert.deepEqual(drops, ["failed", "queueFull"]);
+                assert.deepEqual(logger._circuit.queue.map(function(queued) {
+                    return JSON.parse(queued.context.message).event.message;
+                }), ["2", "3"]);
+                logger._setCircuitState("closed");
+                done();
+            });
+        });
+    });
+    describe("using backpressure", function() {
+        it("should return false from send() above the highWaterMark, then emit drain", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 2
+            };
+            var logger = new SplunkLogger(config);
+
+            // Hold on to every request until the test is ready
+            var pending = [];
+            logger._post = function(opts, callback) {
+                pending.push(callback);
+            };
+
+            assert.strictEqual(logger.send({message: "1"}), true);
+            var eventSize = logger.eventsBatchSize;
+            logger.config.highWaterMark = eventSize * 3;
+            assert.deepEqual(logger.queueState(), {
+                queuedCount: 1,
+                queuedBytes: eventSize,
+                inFlightCount: 0,
+                inFlightBytes: 0,
+                waitingCount: 0
+            });
+
+            assert.strictEqual(logger.send({message: "2"}), true);
+            assert.strictEqual(logger.send({message: "3"}), false);
+            assert.deepEqual(logger.queueState(), {
+                queuedCount: 1,
+                queuedBytes: eventSize,
+                inFlightCount: 1,
+                inFlightBytes: eventSize * 2,
+                waitingCount: 0
+            });
+
+            var drained = false;
+            logger.on("drain", function() {
+                drained = true;
+                assert.deepEqual(logger.queueState(), {
+                    queuedCount: 1,
+                    queuedBytes: eventSize,
+                    inFlightCount: 0,
+                    inFlightBytes: 0,
+                    waitingCount: 0
+                });
+                assert.strictEqual(logger.send({message: "4"}), true);
+                done();
+            });
+
+            assert.strictEqual(pending.length, 1);
+            pending[0](null, {body: successBody}, successBody);
+            assert.ok(drained);
+        });
+        it("should return false from send() when the event is dropped", function() {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                maxQueueCount: 1
+            };
+            var logger = new SplunkLogger(config);
+            logger.error = function() {};
+
+            assert.strictEqual(logger.send({message: "1"}), true);
+            assert.strictEqual(logger.send({message: "2"}), false);
+        });
+        it("should always return true from send() without a highWaterMark", function(done) {
+            var config = {
+                token: configurationFile.token,
+                highWaterMark: 0
+            };
+            var logger = new SplunkLogger(config);
+            logger._post = function() {};
+            logger.on("drain", function() {
+                assert.ok(false, "Expected no drain event.");
+            });
+
+            for (var i = 0; i < 100; i++) {
+                assert.strictEqual(logger.send({message: new Array(1000).join("x")}), true);
+            }
+            assert.strictEqual(logger.queueState().inFlightCount, 100);
+            done();
+        });
+    });
+    describe("using close()", function() {
+        it("should flush queued events, and wait for requests in progress", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 2,
+                batchInterval: 10000
+            };
+            var logger = new SplunkLogger(config);
+
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                setTimeout(function() {
+                    callback(null, {body: successBody}, successBody);
+                }, 20);
+            };
+
+            var sent = false;
+            logger.send({message: "1"});
+            logger.send({message: "2"}, function(err) {
+                assert.ok(!err);
+                sent = true;
+            });
+            logger.send({message: "3"});
+
+            logger.close(function(err) {
+                assert.ok(!err);
+                assert.ok(sent);
+                assert.strictEqual(bodies.length, 2);
+                assert.strictEqual(logger._timerID, null);
+                assert.strictEqual(logger.queueState().inFlightCount, 0);
+                done();
+            });
+            assert.strictEqual(logger.serializedContextQueue.length, 0);
+        });
+        it("should stop accepting events", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            logger._post = function() {
+                assert.ok(false, "Expected no requests.");
+            };
+
+            var errors = [];
+            logger.error = function(err, context) {
+                errors.push(err.message);
+                assert.strictEqual(context.message, "too late");
+            };
+
+            logger.close(function(err) {
+                assert.ok(!err);
+                var ret = logger.send({message: "too late"}, function(err) {
+                    assert.ok(err);
+                    assert.strictEqual(err.message, "Cannot send events after close().");
+                    assert.deepEqual(errors, ["Cannot send events after close()."]);
+
+                    logger.close(function(err) {
+                        assert.ok(err);
+                        assert.strictEqual(err.message, "Logger is already closed.");
+                        done();
+                    });
+                });
+                assert.strictEqual(ret, false);
+            });
+        });
+        it("should return a promise without a callback", function(done) {
+            var transport = new MemoryTransport();
+            var closed = false;
+            transport.close = function() {
+                closed = true;
+            };
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                transport: transport,
+                maxBatchCount: 0
+            });
+
+            logger.send({message: "1"});
+            logger.close().then(function() {
+                assert.strictEqual(transport.events().length, 1);
+                assert.ok(closed);
+                done();
+            }, done);
+        });
+        it("should report undelivered batches after the closeTimeout", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                closeTimeout: 50
+            };
+            var logger = new SplunkLogger(config);
+
+            // Never responds
+            logger._post = function() {};
+
+            logger.send({message: "1"});
+            var start = Date.now();
+            logger.close().then(function() {
+                done(new Error("Expected an error."));
+            }, function(err) {
+                assert.ok(err);
+                assert.ok(Date.now() - start >= 45);
+                assert.strictEqual(err.message, "1 batches of events could not be delivered.");
+                assert.strictEqual(err.undelivered.length, 1);
+                assert.strictEqual(JSON.parse(err.undelivered[0].message).event.message, "1");
+                done();
+            });
+        });
+        it("should stop retrying at the closeTimeout", function(done) {
+            var config = {
+                token: configurationFile.token,
+                maxRetries: 100,
+                retryBaseDelay: 20,
+                retryMultiplier: 1,
+                maxBatchCount: 0,
+                closeTimeout: 100
+            };
+            var logger = new SplunkLogger(config);
+
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(new Error("connect ECONNREFUSED"));
+            };
+            logger.error = function() {};
+
+            // The event is first sent by close(), so each retry is due no sooner than
+            // the sum of the delays so far, or later if timers fire late.
+            var waited = 0;
+            logger.onRetry = function(err, context, retry) {
+                waited += retry.delay;
+                assert.ok(waited <= 100, "Retried after the closeTimeout: " + waited);
+            };
+
+            var failed = false;
+            logger.send({message: "1"}, function(err) {
+                assert.ok(err);
+                failed = true;
+            });
+
+            logger.close(function(err) {
+                assert.ok(err);
+                assert.ok(failed);
+                assert.strictEqual(err.undelivered.length, 1);
+                assert.ok(posts > 1 && posts < 100);
+                done();
+            });
+        });
+        it("should call back for events waiting on indexer acknowledgement at the closeTimeout", function(done) {
+            var config = {
+                token: configurationFile.token,
+                ack: true,
+                ackInterval: 10,
+                closeTimeout: 50
+            };
+            var dead = [];
+            config.deadLetter = function(contexts, failure) {
+                dead.push([contexts[0].message, failure.reason]);
+            };
+            var logger = new SplunkLogger(config);
+            logger.error = function() {};
+            var drops = [];
+            logger.on("drop", function(drop) {
+                drops.push(drop.reason);
+            });
+
+            logger._post = function(opts, callback) {
+                if (opts.url.indexOf("/services/collector/ack") !== -1) {
+                    // Never acknowledged
+                    callback(null, {body: {acks: {0: false}}}, {acks: {0: false}});
+                }
+                else {
+                    var body = {text: "Success", code: 0, ackId: 0};
+                    callback(null, {body: body}, body);
+                }
+            };
+
+            var called = false;
+            logger.send({message: "1"}, function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Logger was closed before the events were acknowledged.");
+                called = true;
+            });
+            logger.close(function(err) {
+                assert.ok(err);
+                assert.ok(called);
+                assert.strictEqual(err.undelivered.length, 1);
+                assert.strictEqual(logger._ackTimerID, null);
+                assert.deepEqual(drops, ["closed"]);
+                assert.deepEqual(dead, [["1", "closed"]]);
+                done();
+            });
+        });
+    });
+    describe("using per-event callbacks", function() {
+        it("should call back for every event in a batch", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 3});
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            var calls = [];
+            var check = function(name) {
+                return function(err, resp, body) {
+                    assert.ok(!err);
+                    assert.deepEqual(body, successBody);
+                    calls.push(name);
+                    if (calls.length === 3) {
+                        // Give any extra calls a chance to show up
+                        setTimeout(function() {
+                            assert.deepEqual(calls.sort(), ["first", "second", "third"]);
+                            assert.strictEqual(posts, 1);
+                            done();
+                        }, 10);
+                    }
+                };
+            };
+            logger.send({message: "first"}, check("first"));
+            logger.send({message: "second"}, check("second"));
+            assert.strictEqual(calls.length, 0);
+            logger.send({message: "third"}, check("third"));
+        });
+        it("should call back for every event in a failed batch", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0});
+            logger.error = function() {};
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 403}, invalidTokenBody);
+            };
+
+            var results = [];
+            var check = function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(resp.statusCode, 403);
+                results.push(body);
+            };
+            logger.send({message: "first"}, check);
+            logger.send({message: "second"});
+            logger.send({message: "third"}, check);
+
+            logger.flush(function(err, resp, body) {
+                assert.ok(!err);
+                assert.deepEqual(body, invalidTokenBody);
+                setTimeout(function() {
+                    assert.deepEqual(results, [invalidTokenBody, invalidTokenBody]);
+                    done();
+                }, 10);
+            });
+        });
+        it("should call back with the error once retries run out", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 2, maxRetries: 1});
+            logger.error = function() {};
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(new Error("connect ECONNREFUSED"));
+            };
+
+            var errors = 0;
+            var check = function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "connect ECONNREFUSED");
+                errors++;
+                if (errors === 2) {
+                    assert.strictEqual(posts, 2);
+                    done();
+                }
+            };
+            logger.send({message: "first"}, check);
+            logger.send({message: "second"}, check);
+        });
+    });
+    describe("using lifecycle events", function() {
+        it("should emit enqueue, flush, retry and sent events", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                maxBatchCount: 2,
+                maxRetries: 1,
+                retryBaseDelay: 1
+            });
+            logger.error = function() {};
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                if (posts === 1) {
+                    callback(new Error("connect ECONNREFUSED"));
+                }
+                else {
+                    callback(null, {statusCode: 200}, successBody);
+                }
+            };
+
+            var events = [];
+            ["enqueue", "flush", "retry", "sent", "drop"].forEach(function(name) {
+                logger.on(name, function(info) {
+                    events.push({name: name, info: info});
+                });
+            });
+
+            logger.send({message: "first"});
+            logger.send({message: "second"}, function(err) {
+                assert.ok(!err);
+                assert.deepEqual(events.map(function(event) {
+                    return event.name;
+                }), ["enqueue", "enqueue", "flush", "retry", "sent"]);
+
+                assert.strictEqual(events[0].info.context.message, "first");
+                assert.ok(events[0].info.size > 0);
+                assert.strictEqual(events[0].info.queuedCount, 1);
+                assert.strictEqual(events[1].info.queuedCount, 2);
+                assert.strictEqual(events[1].info.queuedBytes, events[0].info.size + events[1].info.size);
+
+                var batchSize = events[1].info.queuedBytes;
+                assert.deepEqual(events[2].info, {count: 2, size: batchSize});
+
+                var retry = events[3].info;
+                assert.strictEqual(retry.error.message, "connect ECONNREFUSED");
+                assert.strictEqual(retry.count, 2);
+                assert.strictEqual(retry.size, batchSize);
+                assert.strictEqual(retry.attempt, 1);
+                assert.strictEqual(retry.endpoint, "https://localhost:8088");
+
+                var sent = events[4].info;
+                assert.strictEqual(sent.count, 2);
+                assert.strictEqual(sent.size, batchSize);
+                assert.strictEqual(sent.attempts, 2);
+                assert.ok(sent.latency >= 0);
+                assert.strictEqual(sent.endpoint, "https://localhost:8088");
+                assert.strictEqual(sent.response.statusCode, 200);
+                assert.deepEqual(sent.body, successBody);
+                done();
+            });
+        });
+        it("should emit drop and error events for a failed batch", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            logger.error = function() {};
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 403}, invalidTokenBody);
+            };
+
+            var errors = [];
+            logger.on("error", function(err, context) {
+                errors.push({err: err, context: context});
+            });
+            var drops = [];
+            logger.on("drop", function(info) {
+                drops.push(info);
+            });
+
+            logger.send({message: "something"}, function() {
+                assert.strictEqual(errors.length, 1);
+                assert.strictEqual(errors[0].err.code, invalidTokenBody.code);
+                assert.strictEqual(drops.length, 1);
+                assert.strictEqual(drops[0].reason, "failed");
+                assert.strictEqual(drops[0].error, errors[0].err);
+                assert.strictEqual(drops[0].context, errors[0].context);
+                assert.strictEqual(drops[0].count, 1);
+                done();
+            });
+        });
+        it("should emit drop events when the queue is full", function() {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0, maxQueueCount: 1});
+            logger.error = function() {};
+            var drops = [];
+            logger.on("drop", function(info) {
+                drops.push(info);
+            });
+
+            logger.send({message: "first"});
+            logger.send({message: "second"});
+            assert.strictEqual(drops.length, 1);
+            assert.strictEqual(drops[0].reason, "queueFull");
+            assert.strictEqual(drops[0].context.message, "second");
+            assert.strictEqual(drops[0].count, 1);
+        });
+        it("should not throw without an error listener", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            var run = false;
+            logger.error = function() {
+                run = true;
+            };
+            logger._post = function(opts, callback) {
+                callback(new Error("connect ECONNREFUSED"));
+            };
+
+            logger.send({message: "something"}, function(err) {
+                assert.ok(err);
+                assert.ok(run);
+                done();
+            });
+        });
+        it("should emit a close event", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0});
+            logger.error = function() {};
+            logger._post = function(opts, callback) {
+                callback(new Error("connect ECONNREFUSED"));
+            };
+
+            var closed = null;
+            logger.on("close", function(info) {
+                closed = info;
+            });
+            logger.send({message: "something"});
+            logger.close(function(err) {
+                assert.ok(err);
+                assert.deepEqual(closed, {undelivered: 1});
+                done();
+            });
+        });
+    });
+    describe("using linger batching", function() {
+        it("should flush batchInterval after the first event", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                batchInterval: 50,
+                linger: true,
+                maxBatchCount: 0
+            });
+            var posts = [];
+            logger._post = function(opts, callback) {
+                posts.push({time: Date.now(), body: opts.body});
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            // Idle for a while first, nothing is scheduled
+            setTimeout(function() {
+                assert.ok(!logger._flushTimerID);
+                var start = Date.now();
+                logger.send({message: "first"});
+                assert.ok(logger._flushTimerID);
+                assert.strictEqual(logger._flushTimerID.hasRef(), false);
+
+                setTimeout(function() {
+                    logger.send({message: "second"}, function(err) {
+                        assert.ok(!err);
+                        assert.strictEqual(posts.length, 1);
+                        assert.ok(posts[0].time - start >= 45, "Flushed too early: " + (posts[0].time - start));
+                        assert.ok(posts[0].body.indexOf("first") !== -1);
+                        assert.ok(posts[0].body.indexOf("second") !== -1);
+                        assert.ok(!logger._flushTimerID);
+                        done();
+                    });
+                }, 20);
+            }, 80);
+        });
+        it("should flush before maxEventAge with an interval timer", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                batchInterval: 10000,
+                maxEventAge: 30,
+                maxBatchCount: 0
+            });
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            var start = Date.now();
+            logger.send({message: "something"}, function(err) {
+                assert.ok(!err);
+                var age = Date.now() - start;
+                assert.ok(age >= 25 && age < 1000, "Unexpected age: " + age);
+                logger._disableTimer();
+                done();
+            });
+        });
+        it("should not schedule a flush after close()", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                batchInterval: 50,
+                linger: true,
+                maxBatchCount: 0
+            });
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            logger.send({message: "something"});
+            logger.close(function(err) {
+                assert.ok(!err);
+                assert.ok(!logger._flushTimerID);
+                done();
+            });
+        });
+    });
+    describe("using severity lanes", function() {
+        it("should flush a lane on its own", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                maxBatchCount: 10,
+                lanes: {
+                    error: {maxBatchCount: 1}
+                }
+            });
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            logger.send({message: "debug one", severity: "debug"});
+            logger.send({message: "info one"});
+            logger.send({message: "error one", severity: "error"}, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(bodies.length, 1);
+                assert.ok(bodies[0].indexOf("error one") !== -1);
+                assert.ok(bodies[0].indexOf("info one") === -1);
+
+                // The default lane is still queued, in order
+                assert.strictEqual(logger.serializedContextQueue.length, 2);
+                assert.strictEqual(logger._queueMeta.length, 2);
+                assert.strictEqual(logger.eventsBatchSize, logger._queueMeta[0].size + logger._queueMeta[1].size);
+                assert.strictEqual(JSON.parse(logger.serializedContextQueue[0]).event.message, "debug one");
+
+                logger.flush(function(err) {
+                    assert.ok(!err);
+                    assert.strictEqual(bodies.length, 2);
+                    assert.ok(bodies[1].indexOf("debug one") < bodies[1].indexOf("info one"));
+                    assert.strictEqual(logger.eventsBatchSize, 0);
+                    done();
+                });
+            });
+        });
+        it("should keep running totals for each lane", function() {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                transport: new MemoryTransport(),
+                maxBatchCount: 0,
+                maxQueueCount: 3,
+                queueOverflow: "dropOldest",
+                lanes: {
+                    error: {maxBatchCount: 0}
+                }
+            });
+            logger.error = function() {};
+            var totals = function() {
+                var ret = {};
+                logger._queueMeta.forEach(function(meta) {
+                    var stats = ret[meta.lane] = ret[meta.lane] || {count: 0, size: 0, time: meta.time};
+                    stats.count++;
+                    stats.size += meta.size;
+                });
+                return ret;
+            };
+
+            logger.send({message: "info one"});
+            logger.send({message: "error one", severity: "error"});
+            logger.send({message: "info two"});
+            assert.deepEqual(logger._laneStats, totals());
+
+            // Drops the oldest event in the default lane
+            logger.send({message: "error two", severity: "error"});
+            assert.deepEqual(logger._laneStats, totals());
+            assert.strictEqual(logger._laneStats[""].count, 1);
+
+            logger._flushLane("error", null, 1);
+            assert.deepEqual(logger._laneStats, totals());
+            assert.strictEqual(logger._laneStats.error.count, 1);
+
+            logger.flush();
+            assert.deepEqual(logger._laneStats, {});
+        });
+        it("should linger per lane", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                lanes: {
+                    error: {batchInterval: 20},
+                    debug: {batchInterval: 10000}
+                }
+            });
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            var start = Date.now();
+            logger.send({message: "debug one", severity: "debug"});
+            logger.send({message: "error one", severity: "error"}, function(err) {
+                assert.ok(!err);
+                assert.ok(Date.now() - start >= 15);
+                assert.strictEqual(bodies.length, 1);
+                assert.ok(bodies[0].indexOf("error one") !== -1);
+                // The debug lane is still lingering
+                assert.strictEqual(logger.serializedContextQueue.length, 1);
+                assert.ok(logger._flushTimerID);
+                assert.ok(logger._flushDeadline - start >= 9000);
+                logger._cancelFlush();
+                done();
+            });
+        });
+        it("should use the batch settings for other severities", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                maxBatchCount: 2,
+                lanes: {
+                    error: {maxBatchCount: 5}
+                }
+            });
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            logger.send({message: "error one", severity: "error"});
+            logger.send({message: "warn one", severity: "warn"});
+            logger.send({message: "debug one", severity: "debug"}, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(bodies.length, 1);
+                assert.ok(bodies[0].indexOf("error one") === -1);
+                assert.strictEqual(logger.serializedContextQueue.length, 1);
+                done();
+            });
+        });
+    });
+    describe("using a hard maximum batch size", function() {
+        it("should flush before an event goes over maxBatchSize", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0});
+            var size = Buffer.byteLength(logger._serializeEvent({message: "event 0", severity: "info"}), "utf8");
+            logger.config.maxBatchSize = size * 2;
+
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            for (var i = 0; i < 5; i++) {
+                logger.send({message: "event " + i});
+            }
+            logger.flush(function(err) {
+                assert.ok(!err);
+                assert.strictEqual(bodies.length, 3);
+                bodies.forEach(function(body) {
+                    assert.ok(Buffer.byteLength(body, "utf8") <= size * 2);
+                });
+                assert.ok(bodies[0].indexOf("event 0") !== -1 && bodies[0].indexOf("event 1") !== -1);
+                assert.ok(bodies[2].indexOf("event 4") !== -1);
+                done();
+            });
+        });
+        it("should flush every lane within maxBatchSize", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                lanes: {
+                    error: {}
+                }
+            });
+            var size = Buffer.byteLength(logger._serializeEvent({message: "event 0", severity: "info"}), "utf8");
+            logger.config.maxBatchSize = size * 2 + 10;
+
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            // Two events in each lane, both lanes under maxBatchSize
+            logger.send({message: "event 0"});
+            logger.send({message: "event 1", severity: "error"});
+            logger.send({message: "event 2"});
+            logger.send({message: "event 3", severity: "error"});
+            assert.strictEqual(bodies.length, 0);
+
+            logger.flush(function(err, resp, body) {
+                assert.ok(!err);
+                assert.deepEqual(body, successBody);
+                assert.strictEqual(bodies.length, 2);
+                bodies.forEach(function(body) {
+                    assert.ok(Buffer.byteLength(body, "utf8") <= logger.config.maxBatchSize);
+                });
+                assert.ok(bodies[0].indexOf("event 0") !== -1 && bodies[0].indexOf("event 2") !== -1);
+                assert.ok(bodies[1].indexOf("event 1") !== -1 && bodies[1].indexOf("event 3") !== -1);
+                done();
+            });
+        });
+        it("should flush within maxBatchSize while paused", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0});
+            var size = Buffer.byteLength(logger._serializeEvent({message: "event 0", severity: "info"}), "utf8");
+            logger.config.maxBatchSize = size * 2;
+
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            logger.pause();
+            for (var i = 0; i < 10; i++) {
+                logger.send({message: "event " + i});
+            }
+            var flushed = false;
+            logger.flush(function(err) {
+                assert.ok(!err);
+                flushed = true;
+            });
+            assert.strictEqual(bodies.length, 0);
+
+            logger.resume();
+            setImmediate(function() {
+                assert.ok(flushed);
+                assert.strictEqual(bodies.length, 5);
+                bodies.forEach(function(body) {
+                    assert.ok(Buffer.byteLength(body, "utf8") <= size * 2);
+                });
+                done();
+            });
+        });
+        it("should check maxBatchSize without going through the queued events", function() {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                transport: new MemoryTransport(),
+                maxBatchCount: 0,
+                maxBatchSize: 1000
+            });
+            logger._laneEvents = function() {
+                throw new Error("Only needed to measure compression.");
+            };
+
+            for (var i = 0; i < 50; i++) {
+                logger.send({message: "event " + i});
+            }
+            assert.ok(logger.queueState().inFlightCount > 0);
+            assert.ok(logger.eventsBatchSize <= 1000);
+        });
+        it("should send an event larger than maxBatchSize on its own", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0, maxBatchSize: 100});
+            var bodies = [];
+            logger._post = function(opts, callback) {
+                bodies.push(opts.body);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            logger.send({message: "small"});
+            logger.send({message: new Array(20).join("too large ")}, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(bodies.length, 2);
+                assert.ok(bodies[0].indexOf("small") !== -1);
+                assert.ok(bodies[1].indexOf("too large") !== -1);
+                assert.strictEqual(logger.serializedContextQueue.length, 0);
+                done();
+            });
+        });
+        it("should split and resend a batch on 413", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0});
+            var run = false;
+            logger.error = function() {
+                run = true;
+            };
+
+            var counts = [];
+            var messages = [];
+            logger._post = function(opts, callback) {
+                var events = opts.body.split("}{").length;
+                counts.push(events);
+                if (events > 1) {
+                    callback(null, {statusCode: 413}, {text: "Content too large", code: 27});
+                    return;
+                }
+                messages.push(JSON.parse(opts.body).event.message);
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            var callbacks = 0;
+            var check = function(err, resp, body) {
+                assert.ok(!err);
+                assert.deepEqual(body, successBody);
+                callbacks++;
+            };
+            for (var i = 0; i < 4; i++) {
+                logger.send({message: "event " + i}, check);
+            }
+            logger.flush(function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(resp.statusCode, 200);
+                assert.deepEqual(body, successBody);
+                assert.deepEqual(counts, [4, 2, 1, 1, 2, 1, 1]);
+                assert.deepEqual(messages, ["event 0", "event 1", "event 2", "event 3"]);
+                assert.ok(!run);
+                setTimeout(function() {
+                    assert.strictEqual(callbacks, 4);
+                    done();
+                }, 10);
+            });
+        });
+        it("should report 413 for a single event", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            var run = false;
+            logger.error = function(err) {
+                assert.strictEqual(err.message, "Content too large");
+                run = true;
+            };
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(null, {statusCode: 413}, {text: "Content too large", code: 27});
+            };
+
+            logger.send({message: "something"}, function(err, resp) {
+                assert.ok(!err);
+                assert.strictEqual(resp.statusCode, 413);
+                assert.strictEqual(posts, 1);
+                assert.ok(run);
+                done();
+            });
+        });
+    });
+    describe("using a concurrency limit", function() {
+        it("should send at most maxInFlight batches at a time", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxInFlight: 2});
+            var pending = [];
+            var sent = [];
+            logger._post = function(opts, callback) {
+                sent.push(JSON.parse(opts.body).event.message);
+                pending.push(callback);
+            };
+
+            var finished = 0;
+            var check = function(err) {
+                assert.ok(!err);
+                finished++;
+                if (finished === 5) {
+                    assert.deepEqual(sent, ["0", "1", "2", "3", "4"]);
+                    assert.strictEqual(logger.queueState().inFlightCount, 0);
+                    done();
+                }
+            };
+            for (var i = 0; i < 5; i++) {
+                logger.send({message: "" + i}, check);
+            }
+
+            setTimeout(function() {
+                assert.strictEqual(pending.length, 2);
+                assert.strictEqual(logger.queueState().inFlightCount, 5);
+                assert.strictEqual(logger.queueState().waitingCount, 3);
+
+                // Each response lets one more batch through
+                var respond = function() {
+                    if (pending.length > 0) {
+                        assert.ok(pending.length <= 2);
+                        pending.shift()(null, {statusCode: 200}, successBody);
+                        setTimeout(respond, 1);
+                    }
+                };
+                respond();
+            }, 10);
+        });
+        it("should send batches strictly in order, including retries", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                ordered: true,
+                maxRetries: 2,
+                retryBaseDelay: 5
+            });
+            logger.error = function() {};
+            var sent = [];
+            logger._post = function(opts, callback) {
+                var message = JSON.parse(opts.body).event.message;
+                sent.push(message);
+                // The first batch fails twice before it's delivered
+                if (message === "first" && sent.length < 3) {
+                    callback(new Error("connect ECONNREFUSED"));
+                }
+                else {
+                    callback(null, {statusCode: 200}, successBody);
+                }
+            };
+
+            logger.send({message: "first"});
+            logger.send({message: "second"});
+            logger.send({message: "third"}, function(err) {
+                assert.ok(!err);
+                assert.deepEqual(sent, ["first", "first", "first", "second", "third"]);
+                done();
+            });
+        });
+        it("should send the next batch once the one before it is given up on", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, ordered: true});
+            logger.error = function() {};
+            var sent = [];
+            logger._post = function(opts, callback) {
+                var message = JSON.parse(opts.body).event.message;
+                sent.push(message);
+                if (message === "first") {
+                    callback(null, {statusCode: 403}, invalidTokenBody);
+                }
+                else {
+                    callback(null, {statusCode: 200}, successBody);
+                }
+            };
+
+            logger.send({message: "first"}, function(err, resp, body) {
+                assert.deepEqual(body, invalidTokenBody);
+            });
+            logger.send({message: "second"}, function(err, resp, body) {
+                assert.deepEqual(body, successBody);
+                assert.deepEqual(sent, ["first", "second"]);
+                done();
+            });
+        });
+        it("should give up on waiting batches when close() times out", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, ordered: true, closeTimeout: 20});
+            logger.error = function() {};
+            var posts = 0;
+            logger._post = function() {
+                // Never responds
+                posts++;
+            };
+
+            var errors = [];
+            logger.send({message: "first"});
+            logger.send({message: "second"}, function(err) {
+                errors.push(err);
+            });
+            logger.close(function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.undelivered.length, 2);
+                assert.strictEqual(posts, 1);
+                assert.strictEqual(errors.length, 1);
+                assert.strictEqual(errors[0].message, "Logger was closed before the events were sent.");
+                done();
+            });
+        });
+    });
+    describe("using invalid event numbers", function() {
+        var invalidBody = function(index) {
+            return {text: "Invalid data format", code: 6, "invalid-event-number": index};
+        };
+
+        it("should send the events after the invalid one again, and only report the invalid event", function(done) {
+            var requests = 0;
+            var transport = new MemoryTransport({
+                respond: function() {
+                    requests++;
+                    return requests === 1 ? {statusCode: 400, body: invalidBody(1)} : {statusCode: 200, body: successBody};
+                }
+            });
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, maxBatchCount: 3});
+            var errors = [];
+            logger.error = function(err, context) {
+                errors.push({err: err, context: context});
+            };
+            var drops = [];
+            logger.on("drop", function(drop) {
+                drops.push(drop);
+            });
+
+            var results = {};
+            var record = function(name) {
+                return function(err, resp, body) {
+                    results[name] = body.code;
+                };
+            };
+            logger.send({message: "first"}, record("first"));
+            logger.send({message: "invalid"}, record("invalid"));
+            logger.send({message: "third"}, function(err, resp, body) {
+                record("third")(err, resp, body);
+                assert.deepEqual(results, {first: 0, invalid: 6, third: 0});
+
+                assert.strictEqual(errors.length, 1);
+                assert.ok(errors[0].err instanceof SplunkError);
+                assert.strictEqual(errors[0].err.code, 6);
+                assert.strictEqual(errors[0].context.message, "invalid");
+                assert.strictEqual(drops.length, 1);
+                assert.strictEqual(drops[0].count, 1);
+
+                assert.strictEqual(transport.requests.length, 2);
+                var resent = transport.events().slice(3).map(function(event) {
+                    return event.event.message;
+                });
+                assert.deepEqual(resent, ["third"]);
+                done();
+            });
+        });
+        it("should map invalid events back to the original batch", function(done) {
+            var requests = 0;
+            var transport = new MemoryTransport({
+                respond: function() {
+                    requests++;
+                    // "b" in [a, b, c, d], then "d" in [c, d]
+                    if (requests === 1) {
+                        return {statusCode: 400, body: invalidBody(1)};
+                    }
+                    if (requests === 2) {
+                        return {statusCode: 400, body: invalidBody("1")};
+                    }
+                    return {statusCode: 200, body: successBody};
+                }
+            });
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, maxBatchCount: 0});
+            var dead = [];
+            logger.config.deadLetter = {
+                write: function(contexts) {
+                    dead.push(contexts[0].message);
+                }
+            };
+            logger.error = function() {};
+
+            var codes = [];
+            var flushCode = null;
+            var check = function() {
+                assert.strictEqual(flushCode, 0);
+                assert.deepEqual(codes, [0, 6, 0, 6]);
+                assert.deepEqual(dead, ["b", "d"]);
+
+                // Nothing is left to send after "d"
+                assert.strictEqual(transport.requests.length, 2);
+                var resent = transport.events().slice(4).map(function(event) {
+                    return event.event.message;
+                });
+                assert.deepEqual(resent, ["c", "d"]);
+                done();
+            };
+            ["a", "b", "c", "d"].forEach(function(message, index) {
+                logger.send({message: message}, function(err, resp, body) {
+                    codes[index] = body.code;
+                    if (index === 3) {
+                        check();
+                    }
+                });
+            });
+            // The flush callback is called before the events' callbacks
+            logger.flush(function(err, resp, body) {
+                assert.ok(!err);
+                flushCode = body.code;
+            });
+        });
+        it("should count the events before the invalid one as delivered", function(done) {
+            var requests = 0;
+            var transport = new MemoryTransport({
+                respond: function() {
+                    requests++;
+                    if (requests === 1) {
+                        return {statusCode: 400, body: invalidBody(1)};
+                    }
+                    return {error: new Error("connect ECONNREFUSED")};
+                }
+            });
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, maxBatchCount: 3});
+            logger.error = function() {};
+            var sent = [];
+            logger.on("sent", function(info) {
+                sent.push(info.count);
+            });
+
+            var results = {};
+            logger.send({message: "first"}, function(err, resp, body) {
+                results.first = [err, resp.statusCode, body.code];
+            });
+            logger.send({message: "invalid"}, function(err, resp, body) {
+                results.invalid = [err, resp.statusCode, body.code];
+            });
+            logger.send({message: "third"}, function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "connect ECONNREFUSED");
+                assert.deepEqual(results, {first: [null, 200, 0], invalid: [null, 400, 6]});
+                assert.deepEqual(sent, [1]);
+                done();
+            });
+        });
+        it("should fail a batch of one invalid event as usual", function(done) {
+            var transport = new MemoryTransport({
+                respond: function() {
+                    return {statusCode: 400, body: invalidBody(0)};
+                }
+            });
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport});
+            logger.error = function() {};
+
+            logger.send({message: "invalid"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body.code, 6);
+                assert.strictEqual(transport.requests.length, 1);
+                done();
+            });
+        });
+    });
+    describe("using pause and resume", function() {
+        it("should keep queueing while paused, and send once resumed", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport});
+
+            logger.pause();
+            logger.send({message: "first"});
+            logger.send({message: "second"});
+            assert.strictEqual(logger.pending().length, 2);
+            assert.strictEqual(JSON.parse(logger.peek()).event.message, "first");
+
+            setTimeout(function() {
+                assert.strictEqual(transport.requests.length, 0);
+                logger.resume();
+                assert.strictEqual(logger.peek(), null);
+
+                setTimeout(function() {
+                    // Each event in its own batch, as with maxBatchCount=1 when not paused
+                    assert.strictEqual(transport.requests.length, 2);
+                    assert.deepEqual(transport.events().map(function(event) {
+                        return event.event.message;
+                    }), ["first", "second"]);
+                    done();
+                }, 10);
+            }, 10);
+        });
+        it("should send full batches when resumed", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                transport: transport,
+                maxBatchCount: 2,
+                maxBatchSize: 1024
+            });
+
+            logger.pause();
+            for (var i = 0; i < 5; i++) {
+                logger.send({message: "event " + i});
+            }
+            logger.resume();
+
+            setTimeout(function() {
+                assert.strictEqual(transport.requests.length, 2);
+                assert.strictEqual(transport.events().length, 4);
+                assert.strictEqual(logger.pending().length, 1);
+                done();
+            }, 10);
+        });
+        it("should not flush on the batch timer while paused", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                transport: transport,
+                maxBatchCount: 0,
+                batchInterval: 10,
+                linger: true
+            });
+
+            logger.pause();
+            logger.send({message: "something"});
+            setTimeout(function() {
+                assert.strictEqual(transport.requests.length, 0);
+                logger.resume();
+
+                // The event's deadline has already passed
+                setTimeout(function() {
+                    assert.strictEqual(transport.requests.length, 1);
+                    done();
+                }, 10);
+            }, 30);
+        });
+        it("should hold flushed batches until resumed", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, maxBatchCount: 0});
+
+            var flushed = false;
+            logger.pause();
+            logger.send({message: "something"});
+            logger.flush(function(err) {
+                assert.ok(!err);
+                flushed = true;
+            });
+            assert.strictEqual(logger.queueState().waitingCount, 1);
+
+            setTimeout(function() {
+                assert.ok(!flushed);
+                assert.strictEqual(transport.requests.length, 0);
+                logger.resume();
+                setTimeout(function() {
+                    assert.ok(flushed);
+                    assert.strictEqual(transport.requests.length, 1);
+                    done();
+                }, 10);
+            }, 10);
+        });
+        it("should include batches flushed while paused in pending(), peek() and clear()", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, maxBatchCount: 0});
+
+            var errors = [];
+            var record = function(err) {
+                errors.push(err.message);
+            };
+            logger.pause();
+            logger.send({message: "a"}, record);
+            logger.send({message: "b"}, record);
+            logger.flush(record);
+            logger.send({message: "c"}, record);
+
+            var messages = logger.pending().map(function(event) {
+                return JSON.parse(event).event.message;
+            });
+            assert.deepEqual(messages, ["a", "b", "c"]);
+            assert.strictEqual(JSON.parse(logger.peek()).event.message, "a");
+
+            assert.strictEqual(logger.clear(), 3);
+            assert.deepEqual(errors, [
+                "Queue was cleared, the events were discarded.",
+                "Queue was cleared, the events were discarded.",
+                "Queue was cleared, the events were discarded.",
+                "Queue was cleared, the event was discarded."
+            ]);
+            assert.deepEqual(logger.pending(), []);
+            assert.strictEqual(logger.peek(), null);
+            assert.strictEqual(logger.queueState().inFlightCount, 0);
+
+            logger.resume();
+            setTimeout(function() {
+                assert.strictEqual(transport.requests.length, 0);
+                done();
+            }, 10);
+        });
+        it("should send everything when closed while paused", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, maxBatchCount: 0});
+
+            logger.pause();
+            logger.send({message: "first"});
+            logger.flush();
+            logger.send({message: "second"});
+            logger.close(function(err) {
+                assert.ok(!err);
+                assert.strictEqual(transport.events().length, 2);
+                done();
+            });
+        });
+        it("should clear queued events", function() {
+            var logger = new SplunkLogger({token: configurationFile.token, transport: new MemoryTransport(), maxBatchCount: 0});
+            var errors = [];
+            var record = function(err) {
+                errors.push(err.message);
+            };
+
+            logger.send({message: "first"}, record);
+            logger.send({message: "second"}, record);
+            var pending = logger.pending();
+            pending.pop();
+            assert.strictEqual(logger.pending().length, 2);
+
+            assert.strictEqual(logger.clear(), 2);
+            assert.deepEqual(errors, [
+                "Queue was cleared, the event was discarded.",
+                "Queue was cleared, the event was discarded."
+            ]);
+            assert.deepEqual(logger.pending(), []);
+            assert.strictEqual(logger.queueState().queuedBytes, 0);
+            assert.strictEqual(logger.clear(), 0);
+        });
+    });
+    describe("using deduplication", function() {
+        var messages = function(transport) {
+            return transport.events().map(function(event) {
+                return event.event.message;
+            });
+        };
+
+        it("should collapse repeats into one event", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, dedupWindow: 20});
+
+            var results = [];
+            var record = function(err, resp, body) {
+                assert.ok(!err);
+                results.push(body.code);
+            };
+            var start = Date.now() / 1000;
+            for (var i = 0; i < 5; i++) {
+                logger.send({message: "connection lost", metadata: {source: "db", time: Date.now()}}, record);
+            }
+            logger.send({message: "connection lost", severity: "error"});
+            logger.send({message: "connection lost", metadata: {source: "cache"}});
+
+            setTimeout(function() {
+                assert.deepEqual(results, [0]);
+                assert.strictEqual(transport.events().length, 3);
+            }, 10);
+            setTimeout(function() {
+                var events = transport.events();
+                assert.strictEqual(events.length, 4);
+                assert.strictEqual(events[3].source, "db");
+                assert.strictEqual(events[3].event.message, "connection lost");
+                var summary = events[3].fields;
+                assert.strictEqual(summary.repeat_count, 4);
+                assert.ok(summary.first_timestamp >= Math.floor(start));
+                assert.ok(summary.last_timestamp >= summary.first_timestamp);
+                assert.deepEqual(results, [0, 0, 0, 0, 0]);
+
+                // The window has ended
+                logger.send({message: "connection lost", metadata: {source: "db"}}, function() {
+                    assert.strictEqual(messages(transport)[4], "connection lost");
+                    assert.ok(!transport.events()[4].hasOwnProperty("fields"));
+                    done();
+                });
+            }, 50);
+        });
+        it("should leave the message as is for eventFormatter", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                transport: transport,
+                dedupWindow: 10,
+                dedupFingerprint: function(context) {
+                    return context.message.code;
+                }
+            });
+
+            var formatted = [];
+            logger.eventFormatter = function(message, severity) {
+                formatted.push(message);
+                return {message: message, severity: severity};
+            };
+
+            logger.send({message: {code: "E42", attempt: 1}});
+            logger.send({message: {code: "E42", attempt: 2}});
+            logger.send({message: {code: "E42", attempt: 3}}, function() {
+                assert.deepEqual(formatted, [{code: "E42", attempt: 1}, {code: "E42", attempt: 3}]);
+                assert.deepEqual(messages(transport)[1], {code: "E42", attempt: 3});
+                assert.strictEqual(transport.events()[1].fields.repeat_count, 2);
+                done();
+            });
+        });
+        it("should send repeats when closed", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, dedupWindow: 60000});
+
+            logger.send({message: "something"});
+            logger.send({message: "something"});
+            logger.close(function(err) {
+                assert.ok(!err);
+                assert.strictEqual(transport.events()[1].fields.repeat_count, 1);
+                done();
+            });
+        });
+        it("should clear repeats", function(done) {
+            var transport = new MemoryTransport();
+            var logger = new SplunkLogger({token: configurationFile.token, transport: transport, dedupWindow: 10});
+
+            var errors = [];
+            logger.send({message: "something"});
+            logger.send({message: "something"}, function(err) {
+                errors.push(err.message);
+            });
+            assert.strictEqual(logger.clear(), 1);
+            assert.deepEqual(errors, ["Queue was cleared, the event was discarded."]);
+
+            setTimeout(function() {
+                assert.strictEqual(transport.events().length, 1);
+                done();
+            }, 30);
+        });
+    });
+    describe("using promises", function() {
+        it("should resolve sendAsync() with the response body", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            logger.sendAsync({message: "something"}).then(function(body) {
+                assert.deepEqual(body, successBody);
+                done();
+            }).catch(done);
+        });
+        it("should reject sendAsync() with a SplunkError", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            logger.error = function() {};
+            logger._post = function(opts, callback) {
+                callback(null, {statusCode: 403}, invalidTokenBody);
+            };
+
+            logger.sendAsync({message: "something"}).then(function() {
+                done(new Error("Expected an error."));
+            }, function(err) {
+                assert.ok(err instanceof SplunkError);
+                assert.strictEqual(err.message, invalidTokenBody.text);
+                assert.strictEqual(err.code, invalidTokenBody.code);
+                assert.strictEqual(err.statusCode, 403);
+                assert.deepEqual(err.body, invalidTokenBody);
+                done();
+            }).catch(done);
+        });
+        it("should wrap request errors in a SplunkError", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            logger.error = function() {};
+            var cause = new Error("connect ECONNREFUSED");
+            logger._post = function(opts, callback) {
+                callback(cause);
+            };
+
+            logger.sendAsync({message: "something"}).catch(function(err) {
+                assert.ok(err instanceof SplunkError);
+                assert.strictEqual(err.cause, cause);
+                done();
+            }).catch(done);
+        });
+        it("should settle sendAsync() once a batch is flushed", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token, maxBatchCount: 0});
+            var posts = 0;
+            logger._post = function(opts, callback) {
+                posts++;
+                callback(null, {statusCode: 200}, successBody);
+            };
+
+            var settled = 0;
+            var first = logger.sendAsync({message: "first"}).then(function() {
+                settled++;
+            });
+            var second = logger.sendAsync({message: "second"}).then(function() {
+                settled++;
+            });
+            setTimeout(function() {
+                assert.strictEqual(settled, 0);
+                assert.strictEqual(logger.serializedContextQueue.length, 2);
+
+                logger.flushAsync().then(function(body) {
+                    assert.deepEqual(body, successBody);
+                    return Promise.all([first, second]);
+                }).then(function() {
+                    assert.strictEqual(settled, 2);
+                    assert.strictEqual(posts, 1);
+                    done();
+                }).catch(done);
+            }, 10);
+        });
+        it("should throw from sendAsync() with a malformed context", function() {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            try {
+                logger.sendAsync();
+                assert.fail(false, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Context argument is required.");
+            }
+        });
+        it("should reject sendAsync() after close()", function(done) {
+            var logger = new SplunkLogger({token: configurationFile.token});
+            logger.error = function() {};
+            logger.close(function() {
+                logger.sendAsync({message: "too late"}).catch(function(err) {
+                    assert.ok(err instanceof SplunkError);
+                    assert.strictEqual(err.message, "Cannot send events after close().");
+                    done();
+                }).catch(done);
+            });
+        });
+        it("should reject sendAsync() when the event is dropped", function(done) {
+            var logger = new SplunkLogger({
+                token: configurationFile.token,
+                maxBatchCount: 0,
+                maxQueueCount: 1,
+                queueOverflow: "dropOldest"
+            });
+            logger.error = function() {};
+
+            logger.sendAsync({message: "first"}).catch(function(err) {
+                assert.ok(err instanceof SplunkError);
+                assert.strictEqual(err.message, "Queue is full, dropped an event.");
+                assert.strictEqual(logger.serializedContextQueue.length, 1);
+                done();
+            }).catch(done);
+            logger.sendAsync({message: "second"});
+        });
+    });
     describe("using custom eventFormatter", function() {
         it("should use custom event formatter, instead of the default", function(done) {
             var config = {
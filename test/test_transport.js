@@ -0,0 +1,395 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var HttpTransport = require("../index").HttpTransport;
+var MemoryTransport = require("../index").MemoryTransport;
+var SplunkLogger = require("../index").Logger;
+var assert = require("assert");
+var http = require("http");
+var zlib = require("zlib");
+
+var successBody = {
+    text: "Success",
+    code: 0
+};
+
+describe("HttpTransport", function() {
+    var server = null;
+    var baseUrl = null;
+    var requests = [];
+    var connections = 0;
+    // Handles requests to the test server, can be replaced by each test
+    var handler = null;
+
+    before(function(done) {
+        server = http.createServer(function(req, res) {
+            var chunks = [];
+            req.on("data", function(chunk) {
+                chunks.push(chunk);
+            });
+            req.on("end", function() {
+                req.body = Buffer.concat(chunks).toString();
+                requests.push(req);
+                handler(req, res);
+            });
+        });
+        server.on("connection", function() {
+            connections++;
+        });
+        server.listen(0, "127.0.0.1", function() {
+            baseUrl = "http://127.0.0.1:" + server.address().port;
+            done();
+        });
+    });
+    after(function(done) {
+        server.close(done);
+    });
+    beforeEach(function() {
+        requests = [];
+        connections = 0;
+        handler = function(req, res) {
+            res.writeHead(200, {"Content-Type": "application/json; charset=UTF-8"});
+            res.end(JSON.stringify(successBody));
+        };
+    });
+
+    describe("constructor", function() {
+        it("should set defaults", function() {
+            var transport = new HttpTransport();
+            assert.strictEqual(transport.keepAlive, true);
+            assert.strictEqual(transport.maxSockets, 0);
+            assert.strictEqual(transport.timeout, 0);
+        });
+        it("should error when maxSockets is negative", function() {
+            try {
+                var transport = new HttpTransport({maxSockets: -1});
+                assert.fail(!transport, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Max sockets must be a positive number, found: -1");
+            }
+        });
+    });
+    describe("send", function() {
+        it("should post a string body, and parse a JSON response", function(done) {
+            var transport = new HttpTransport();
+            var payload = "{\"event\":\"something\"}";
+            var meta = {
+                url: baseUrl + "/services/collector/event/1.0?a=b",
+                headers: {
+                    "Authorization": "Splunk token",
+                    "Content-Type": "application/x-www-form-urlencoded"
+                },
+                json: true
+            };
+
+            transport.send(payload, meta, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(resp.statusCode, 200);
+                assert.strictEqual(resp.headers["content-type"], "application/json; charset=UTF-8");
+                assert.strictEqual(resp.body, body);
+                assert.deepEqual(body, successBody);
+
+                assert.strictEqual(requests.length, 1);
+                assert.strictEqual(requests[0].method, "POST");
+                assert.strictEqual(requests[0].url, "/services/collector/event/1.0?a=b");
+                assert.strictEqual(requests[0].headers["authorization"], "Splunk token");
+                assert.strictEqual(requests[0].headers["content-type"], "application/x-www-form-urlencoded");
+                assert.strictEqual(requests[0].headers["accept"], "application/json");
+                assert.strictEqual(requests[0].body, payload);
+                transport.close();
+                done();
+            });
+        });
+        it("should post an object body as JSON", function(done) {
+            var transport = new HttpTransport();
+            var payload = {acks: [0, 1]};
+            var meta = {
+                url: baseUrl + "/services/collector/ack",
+                json: true
+            };
+
+            transport.send(payload, meta, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(requests[0].headers["content-type"], "application/json");
+                assert.deepEqual(JSON.parse(requests[0].body), payload);
+                transport.close();
+                done();
+            });
+        });
+        it("should post a Buffer body with its length in bytes", function(done) {
+            var transport = new HttpTransport();
+            var payload = zlib.gzipSync("{\"event\":\"something\"}");
+
+            transport.send(payload, {url: baseUrl}, function(err) {
+                assert.ok(!err);
+                assert.strictEqual(requests[0].headers["content-length"], String(payload.length));
+                transport.close();
+                done();
+            });
+        });
+        it("should leave the response as a string without json", function(done) {
+            var transport = new HttpTransport();
+
+            transport.send("data", {url: baseUrl}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(body, JSON.stringify(successBody));
+                transport.close();
+                done();
+            });
+        });
+        it("should reuse connections with keepAlive", function(done) {
+            var transport = new HttpTransport();
+            var meta = {url: baseUrl, json: true};
+
+            transport.send("data", meta, function(err) {
+                assert.ok(!err);
+                // Wait for the first socket to be released
+                setTimeout(function() {
+                    transport.send("data", meta, function(err) {
+                        assert.ok(!err);
+                        assert.strictEqual(requests.length, 2);
+                        assert.strictEqual(connections, 1);
+                        transport.close();
+                        done();
+                    });
+                }, 10);
+            });
+        });
+        it("should open a connection per request without keepAlive", function(done) {
+            var transport = new HttpTransport({keepAlive: false});
+            var meta = {url: baseUrl, json: true};
+
+            transport.send("data", meta, function(err) {
+                assert.ok(!err);
+                // Wait for the first socket to be released
+                setTimeout(function() {
+                    transport.send("data", meta, function(err) {
+                        assert.ok(!err);
+                        assert.strictEqual(requests.length, 2);
+                        assert.strictEqual(connections, 2);
+                        transport.close();
+                        done();
+                    });
+                }, 10);
+            });
+        });
+        it("should limit concurrent connections with maxSockets", function(done) {
+            var transport = new HttpTransport({maxSockets: 1});
+            var meta = {url: baseUrl, json: true};
+
+            var finished = 0;
+            var callback = function(err) {
+                assert.ok(!err);
+                finished++;
+                if (finished === 3) {
+                    assert.strictEqual(connections, 1);
+                    transport.close();
+                    done();
+                }
+            };
+            transport.send("data", meta, callback);
+            transport.send("data", meta, callback);
+            transport.send("data", meta, callback);
+        });
+        it("should error on socket timeout", function(done) {
+            var transport = new HttpTransport({timeout: 50});
+            handler = function(req, res) {
+                setTimeout(function() {
+                    res.end();
+                }, 200);
+            };
+
+            transport.send("data", {url: baseUrl}, function(err, resp, body) {
+                assert.ok(err);
+                assert.strictEqual(err.code, "ESOCKETTIMEDOUT");
+                assert.ok(!resp);
+                assert.ok(!body);
+                transport.close();
+                done();
+            });
+        });
+        it("should error with an unsupported protocol", function(done) {
+            var transport = new HttpTransport();
+            transport.send("data", {url: "ftp://127.0.0.1/"}, function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Unsupported protocol: ftp:");
+                done();
+            });
+        });
+        it("should error when the connection is refused", function(done) {
+            var transport = new HttpTransport();
+            // Nothing should be listening on port 1
+            transport.send("data", {url: "http://127.0.0.1:1/"}, function(err, resp, body) {
+                assert.ok(err);
+                assert.strictEqual(err.code, "ECONNREFUSED");
+                assert.ok(!resp);
+                assert.ok(!body);
+                done();
+            });
+        });
+    });
+    describe("with SplunkLogger", function() {
+        it("should send events through the logger's transport", function(done) {
+            var logger = new SplunkLogger({
+                token: "token-goes-here",
+                url: baseUrl,
+                maxSockets: 2
+            });
+            assert.ok(logger.config.transport instanceof HttpTransport);
+            assert.strictEqual(logger.config.transport.maxSockets, 2);
+
+            logger.send({message: "something"}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.deepEqual(body, successBody);
+                assert.strictEqual(requests[0].url, "/services/collector/event/1.0");
+                assert.strictEqual(requests[0].headers["authorization"], "Splunk token-goes-here");
+                assert.strictEqual(JSON.parse(requests[0].body).event.message, "something");
+                logger.config.transport.close();
+                done();
+            });
+        });
+    });
+});
+describe("MemoryTransport", function() {
+    it("should record requests, and respond with success by default", function(done) {
+        var transport = new MemoryTransport();
+        var meta = {url: "https://localhost:8088/services/collector/event/1.0", headers: {}};
+
+        transport.send("data", meta, function(err, resp, body) {
+            assert.ok(!err);
+            assert.strictEqual(resp.statusCode, 200);
+            assert.strictEqual(resp.body, body);
+            assert.deepEqual(body, successBody);
+            assert.strictEqual(transport.requests.length, 1);
+            assert.strictEqual(transport.requests[0].payload, "data");
+            assert.strictEqual(transport.requests[0].meta, meta);
+            done();
+        });
+        // Callbacks are always asynchronous
+        assert.strictEqual(transport.requests.length, 1);
+    });
+    it("should use a custom respond function", function(done) {
+        var transport = new MemoryTransport({
+            respond: function(payload) {
+                if (payload === "bad") {
+                    return {error: new Error("connection refused")};
+                }
+                return {statusCode: 403, body: {text: "Invalid token", code: 4}};
+            }
+        });
+
+        transport.send("bad", {}, function(err, resp) {
+            assert.ok(err);
+            assert.strictEqual(err.message, "connection refused");
+            assert.ok(!resp);
+
+            transport.send("good", {}, function(err, resp, body) {
+                assert.ok(!err);
+                assert.strictEqual(resp.statusCode, 403);
+                assert.strictEqual(body.code, 4);
+                done();
+            });
+        });
+    });
+    it("should clear recorded requests", function(done) {
+        var transport = new MemoryTransport();
+        transport.send("data", {}, function() {
+            transport.clear();
+            assert.strictEqual(transport.requests.length, 0);
+            assert.strictEqual(transport.events().length, 0);
+            done();
+        });
+    });
+    it("should capture a logger's events", function(done) {
+        var transport = new MemoryTransport();
+        var logger = new SplunkLogger({
+            token: "token-goes-here",
+            transport: transport,
+            maxBatchCount: 3
+        });
+
+        logger.send({message: "first"});
+        logger.send({message: {text: "has {braces} and \"quotes\""}, severity: "warn"});
+        logger.send({message: "third"}, function(err, resp, body) {
+            assert.ok(!err);
+            assert.deepEqual(body, successBody);
+
+            assert.strictEqual(transport.requests.length, 1);
+            var meta = transport.requests[0].meta;
+            assert.strictEqual(meta.url, "https://localhost:8088/services/collector/event/1.0");
+            assert.strictEqual(meta.headers["Authorization"], "Splunk token-goes-here");
+            assert.ok(!meta.hasOwnProperty("body"));
+
+            var events = transport.events();
+            assert.strictEqual(events.length, 3);
+            assert.strictEqual(events[0].event.message, "first");
+            assert.strictEqual(events[1].event.message.text, "has {braces} and \"quotes\"");
+            assert.strictEqual(events[1].event.severity, "warn");
+            assert.strictEqual(events[2].event.message, "third");
+            done();
+        });
+    });
+    it("should capture compressed raw events", function(done) {
+        var transport = new MemoryTransport();
+        var logger = new SplunkLogger({
+            token: "token-goes-here",
+            transport: transport,
+            mode: "raw",
+            compression: "gzip",
+            maxBatchCount: 2
+        });
+        logger.eventFormatter = function(message) {
+            return message;
+        };
+
+        logger.send({message: "first line"});
+        logger.send({message: "second line"}, function(err) {
+            assert.ok(!err);
+            assert.ok(Buffer.isBuffer(transport.requests[0].payload));
+            assert.deepEqual(transport.events(), ["first line", "second line"]);
+            done();
+        });
+    });
+    it("should keep the headers of each request when falling back to uncompressed", function(done) {
+        var transport = new MemoryTransport({
+            respond: function(payload, meta) {
+                if (meta.headers["Content-Encoding"]) {
+                    return {statusCode: 415, body: "Unsupported Media Type"};
+                }
+                return {statusCode: 200, body: successBody};
+            }
+        });
+        var logger = new SplunkLogger({
+            token: "token-goes-here",
+            transport: transport,
+            compression: "gzip"
+        });
+
+        logger.send({message: "first"}, function(err) {
+            assert.ok(!err);
+            assert.strictEqual(transport.requests.length, 2);
+            assert.strictEqual(transport.requests[0].meta.headers["Content-Encoding"], "gzip");
+            assert.ok(!transport.requests[1].meta.headers.hasOwnProperty("Content-Encoding"));
+            var events = transport.events();
+            assert.strictEqual(events.length, 2);
+            assert.strictEqual(events[0].event.message, "first");
+            assert.strictEqual(events[1].event.message, "first");
+            done();
+        });
+    });
+});
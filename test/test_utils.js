@@ -16,6 +16,7 @@
 
 var assert = require("assert");
 var utils = require("../index").utils;
+var zlib = require("zlib");
 
 describe("Utils", function() {
     describe("formatTime", function () {
@@ -452,6 +453,114 @@ describe("Utils", function() {
         //     });
         // });
     });
+    describe("backoffDelay", function() {
+        it("should match expBackoff by default", function() {
+            assert.strictEqual(utils.backoffDelay({attempt: 2, rand: 0}), 40);
+            assert.strictEqual(utils.backoffDelay({attempt: 2, rand: 1}), 80);
+        });
+        it("should use base, multiplier and max", function() {
+            assert.strictEqual(utils.backoffDelay({attempt: 2, rand: 0, base: 100, multiplier: 3}), 900);
+            assert.strictEqual(utils.backoffDelay({attempt: 2, rand: 0, base: 100, multiplier: 3, max: 500}), 500);
+            assert.strictEqual(utils.backoffDelay({attempt: 100, rand: 0}), 120000);
+        });
+        it("should use full jitter", function() {
+            assert.strictEqual(utils.backoffDelay({attempt: 3, rand: 0, jitter: "full"}), 0);
+            assert.strictEqual(utils.backoffDelay({attempt: 3, rand: 0.5, jitter: "full"}), 40);
+            assert.strictEqual(utils.backoffDelay({attempt: 3, rand: 0.5, jitter: "full", max: 60}), 30);
+        });
+        it("should use equal jitter", function() {
+            assert.strictEqual(utils.backoffDelay({attempt: 3, rand: 0, jitter: "equal"}), 40);
+            assert.strictEqual(utils.backoffDelay({attempt: 3, rand: 0.5, jitter: "equal"}), 60);
+        });
+        it("should use decorrelated jitter", function() {
+            assert.strictEqual(utils.backoffDelay({attempt: 1, rand: 0.5, jitter: "decorrelated"}), 15);
+            assert.strictEqual(utils.backoffDelay({attempt: 2, rand: 0.5, jitter: "decorrelated", previous: 15}), 20);
+            assert.strictEqual(utils.backoffDelay({attempt: 2, rand: 1, jitter: "decorrelated", previous: 1000, max: 500}), 500);
+        });
+    });
+    describe("parseRetryAfter", function() {
+        it("should parse a number of seconds", function() {
+            assert.strictEqual(utils.parseRetryAfter("120"), 120000);
+            assert.strictEqual(utils.parseRetryAfter(" 0 "), 0);
+            assert.strictEqual(utils.parseRetryAfter(3), 3000);
+        });
+        it("should parse an HTTP date", function() {
+            var now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+            assert.strictEqual(utils.parseRetryAfter("Wed, 21 Oct 2015 07:28:30 GMT", now), 30000);
+        });
+        it("should not wait for an HTTP date in the past", function() {
+            var now = Date.parse("Wed, 21 Oct 2015 07:28:00 GMT");
+            assert.strictEqual(utils.parseRetryAfter("Wed, 21 Oct 2015 07:27:00 GMT", now), 0);
+        });
+        it("should return null for a missing or malformed value", function() {
+            assert.strictEqual(utils.parseRetryAfter(), null);
+            assert.strictEqual(utils.parseRetryAfter(""), null);
+            assert.strictEqual(utils.parseRetryAfter("-5"), null);
+            assert.strictEqual(utils.parseRetryAfter("soon"), null);
+        });
+    });
+    describe("guid", function() {
+        it("should generate a version 4 GUID", function() {
+            var guid = utils.guid();
+            assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(guid));
+        });
+        it("should generate a different GUID each time", function() {
+            assert.notStrictEqual(utils.guid(), utils.guid());
+        });
+    });
+    describe("compress", function() {
+        it("should pass data through without an encoding", function(done) {
+            utils.compress(null, "some data", function(err, result) {
+                assert.ok(!err);
+                assert.strictEqual(result, "some data");
+                done();
+            });
+        });
+        it("should gzip data", function(done) {
+            utils.compress("gzip", "some data", function(err, result) {
+                assert.ok(!err);
+                assert.strictEqual(zlib.gunzipSync(result).toString(), "some data");
+                done();
+            });
+        });
+        it("should deflate data", function(done) {
+            utils.compress("deflate", "some data", function(err, result) {
+                assert.ok(!err);
+                assert.strictEqual(zlib.inflateSync(result).toString(), "some data");
+                done();
+            });
+        });
+        it("should error with an unsupported encoding", function(done) {
+            utils.compress("brotli", "some data", function(err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Unsupported compression: brotli");
+                done();
+            });
+        });
+    });
+    describe("compressSync", function() {
+        it("should gzip data", function() {
+            assert.strictEqual(zlib.gunzipSync(utils.compressSync("gzip", "some data")).toString(), "some data");
+        });
+        it("should error with an unsupported encoding", function() {
+            try {
+                utils.compressSync("brotli", "some data");
+                assert.ok(false, "Expected an error.");
+            }
+            catch (err) {
+                assert.ok(err);
+                assert.strictEqual(err.message, "Unsupported compression: brotli");
+            }
+        });
+    });
+    describe("parseJSON", function() {
+        it("should parse valid JSON", function() {
+            assert.deepEqual(utils.parseJSON("{\"code\":0}"), {code: 0});
+        });
+        it("should return malformed JSON as is", function() {
+            assert.strictEqual(utils.parseJSON("not json"), "not json");
+        });
+    });
     describe("bind", function() {
         it("should successfully bind a function", function(done) {
             var f;
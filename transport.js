@@ -0,0 +1,417 @@
+/*
+ * Copyright 2015 Splunk, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License"): you may
+ * not use this file except in compliance with the License. You may obtain
+ * a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS, WITHOUT
+ * WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. See the
+ * License for the specific language governing permissions and limitations
+ * under the License.
+ */
+
+var http = require("http");
+var https = require("https");
+var url = require("url");
+var zlib = require("zlib");
+
+var utils = require("./utils");
+
+// TLS settings that can be passed through to https.request()
+var tlsOptions = ["ca", "cert", "key", "pfx", "passphrase", "ciphers", "servername"];
+
+/**
+ * Returns <code>true</code> if <code>headers</code> has the header <code>name</code>, ignoring case.
+ *
+ * @param {object} headers
+ * @param {string} name
+ * @returns {boolean}
+ * @private
+ */
+function _hasHeader(headers, name) {
+    name = name.toLowerCase();
+    return Object.keys(headers).some(function(key) {
+        return key.toLowerCase() === name;
+    });
+}
+
+/**
+ * Decodes a payload sent through a transport as a string,
+ * decompressing it according to its <code>Content-Encoding</code> header.
+ *
+ * @param {(string|Buffer)} payload
+ * @param {object} meta
+ * @returns {string}
+ * @private
+ */
+function _decodePayload(payload, meta) {
+    if (!Buffer.isBuffer(payload)) {
+        return payload;
+    }
+
+    var encoding = (meta && meta.headers && meta.headers["Content-Encoding"]) || null;
+    if (encoding === "gzip") {
+        payload = zlib.gunzipSync(payload);
+    }
+    else if (encoding === "deflate") {
+        payload = zlib.inflateSync(payload);
+    }
+    return payload.toString("utf8");
+}
+
+/**
+ * Splits a payload into events. Payloads of concatenated JSON objects
+ * are parsed into objects, any other payload is split into lines.
+ *
+ * @param {string} payload
+ * @returns {Array}
+ * @private
+ */
+function _splitEvents(payload) {
+    var ret = [];
+    if (payload.charAt(0) !== "{") {
+        payload.split("\n").forEach(function(line) {
+            if (line.length > 0) {
+                ret.push(line);
+            }
+        });
+        return ret;
+    }
+
+    // Find where each top level JSON object ends, ignoring braces inside strings
+    var depth = 0;
+    var inString = false;
+    var start = 0;
+    for (var i = 0; i < payload.length; i++) {
+        var c = payload.charAt(i);
+        if (inString) {
+            if (c === "\\") {
+                i++;
+            }
+            else if (c === "\"") {
+                inString = false;
+            }
+        }
+        else if (c === "\"") {
+            inString = true;
+        }
+        else if (c === "{") {
+            if (depth === 0) {
+                start = i;
+            }
+            depth++;
+        }
+        else if (c === "}") {
+            depth--;
+            if (depth === 0) {
+                ret.push(JSON.parse(payload.substring(start, i + 1)));
+            }
+        }
+    }
+    return ret;
+}
+
+/**
+ * A transport sends request payloads to Splunk Enterprise or Splunk Cloud on behalf of a
+ * [SplunkLogger]{@link SplunkLogger}, which uses an [HttpTransport]{@link HttpTransport} unless
+ * <code>config.transport</code> is set. Any object implementing this interface can be used.
+ *
+ * @interface Transport
+ */
+
+/**
+ * Sends a request payload.
+ *
+ * @function
+ * @name Transport#send
+ * @param {(string|Buffer|object)} payload - The request body. Objects should be sent as JSON.
+ * @param {object} meta - Everything else about the request.
+ * @param {string} meta.url - URL to send the payload to.
+ * @param {object} meta.headers - Request headers, including <code>Authorization</code>.
+ * @param {boolean} [meta.json] - Whether the response body should be parsed as JSON.
+ * @param {function} callback - A callback function: <code>function(err, response, body)</code>.
+ * The <code>response</code> must have the <code>statusCode</code>, <code>headers</code>, and <code>body</code> properties.
+ */
+
+/**
+ * Optional. Releases any resources held by the transport, such as open connections.
+ *
+ * @function
+ * @name Transport#close
+ */
+
+/**
+ * Constructs an HttpTransport, to make HTTP POST requests with Node's
+ * <code>http</code> and <code>https</code> modules. Connections are pooled
+ * with one agent per protocol, and reused between requests.
+ *
+ * @example
+ * var HttpTransport = require("splunk-logging").HttpTransport;
+ *
+ * var transport = new HttpTransport({maxSockets: 10});
+ * var meta = {
+ *     url: "https://splunk.local:8088/services/collector/event/1.0",
+ *     headers: {Authorization: "Splunk your-token-here"},
+ *     json: true
+ * };
+ * transport.send("{\"event\":\"something\"}", meta, function(err, response, body) {
+ *     transport.close();
+ * });
+ *
+ * @implements {Transport}
+ * @param {object} [options] - Settings for this transport.
+ * @param {boolean} [options.keepAlive=true] - Keep connections open to reuse them for later requests.
+ * @param {number} [options.maxSockets=0] - Maximum number of concurrent connections per host.
+ * This setting is ignored when non-positive.
+ * @param {number} [options.timeout=0] - Socket inactivity timeout in milliseconds, after which a request fails.
+ * This setting is ignored when non-positive.
+ * @constructor
+ */
+var HttpTransport = function(options) {
+    options = options || {};
+    this.keepAlive = options.hasOwnProperty("keepAlive") ? !!options.keepAlive : true;
+    this.maxSockets = utils.validateNonNegativeInt(options.maxSockets || 0, "Max sockets");
+    this.timeout = utils.validateNonNegativeInt(options.timeout || 0, "Timeout");
+    this._agents = {};
+
+    this.send = utils.bind(this, this.send);
+    this.close = utils.bind(this, this.close);
+};
+
+/**
+ * Gets the connection pool for a protocol, creating it if needed.
+ *
+ * @param {string} protocol - <code>http:</code> or <code>https:</code>.
+ * @returns {object} An <code>http.Agent</code> or <code>https.Agent</code>.
+ * @private
+ */
+HttpTransport.prototype._getAgent = function(protocol) {
+    if (!this._agents.hasOwnProperty(protocol)) {
+        var agentOptions = {
+            keepAlive: this.keepAlive
+        };
+        if (this.maxSockets > 0) {
+            agentOptions.maxSockets = this.maxSockets;
+        }
+        var client = protocol === "https:" ? https : http;
+        this._agents[protocol] = new client.Agent(agentOptions);
+    }
+    return this._agents[protocol];
+};
+
+/**
+ * Sends a payload with an HTTP POST request.
+ *
+ * @param {(string|Buffer|object)} [payload] - Request body. Objects are sent as JSON.
+ * @param {object} meta - Request settings.
+ * @param {string} meta.url - URL to send the request to.
+ * @param {object} [meta.headers] - Request headers.
+ * @param {boolean} [meta.json] - Parse the response body as JSON.
+ * @param {boolean} [meta.strictSSL] - Reject servers with invalid SSL certificates.
+ * @param {number} [meta.timeout] - Overrides the socket timeout for this request.
+ * @param {function} callback - A callback function: <code>function(err, response, body)</code>.
+ */
+HttpTransport.prototype.send = function(payload, meta, callback) {
+    var parsed = url.parse(meta.url);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+        callback(new Error("Unsupported protocol: " + parsed.protocol));
+        return;
+    }
+
+    var headers = utils.copyObject(meta.headers);
+    var body = payload;
+    if (typeof body !== "undefined" && typeof body !== "string" && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body);
+        if (!_hasHeader(headers, "content-type")) {
+            headers["Content-Type"] = "application/json";
+        }
+    }
+    if (meta.json && !_hasHeader(headers, "accept")) {
+        headers["Accept"] = "application/json";
+    }
+    // Older versions of Node.js don't take a Buffer in Buffer.byteLength()
+    if (typeof body === "undefined") {
+        headers["Content-Length"] = 0;
+    }
+    else {
+        headers["Content-Length"] = Buffer.isBuffer(body) ? body.length : Buffer.byteLength(body, "utf8");
+    }
+
+    var options = {
+        method: "POST",
+        protocol: parsed.protocol,
+        hostname: parsed.hostname,
+        port: parsed.port,
+        path: parsed.path,
+        headers: headers,
+        agent: this._getAgent(parsed.protocol)
+    };
+    if (parsed.protocol === "https:") {
+        options.rejectUnauthorized = !!meta.strictSSL;
+        tlsOptions.forEach(function(key) {
+            if (meta.hasOwnProperty(key)) {
+                options[key] = meta[key];
+            }
+        });
+    }
+
+    // Only call back once, a request can error after it has timed out
+    var called = false;
+    var done = function(err, response, responseBody) {
+        if (!called) {
+            called = true;
+            callback(err, response, responseBody);
+        }
+    };
+
+    var client = parsed.protocol === "https:" ? https : http;
+    var req = client.request(options, function(response) {
+        var chunks = [];
+        response.on("data", function(chunk) {
+            chunks.push(chunk);
+        });
+        response.on("error", done);
+        response.on("end", function() {
+            var responseBody = Buffer.concat(chunks).toString("utf8");
+            if (meta.json && responseBody.length > 0) {
+                responseBody = utils.parseJSON(responseBody);
+            }
+            response.body = responseBody;
+            done(null, response, responseBody);
+        });
+    });
+
+    var timeout = meta.hasOwnProperty("timeout") ? meta.timeout : this.timeout;
+    if (timeout > 0) {
+        req.setTimeout(timeout, function() {
+            var err = new Error("Socket timed out after " + timeout + "ms.");
+            err.code = "ESOCKETTIMEDOUT";
+            done(err);
+            req.abort();
+        });
+    }
+
+    req.on("error", done);
+    req.end(body);
+};
+
+/**
+ * Closes any pooled connections. Requests made afterwards will open new connections.
+ */
+HttpTransport.prototype.close = function() {
+    var agents = this._agents;
+    this._agents = {};
+    Object.keys(agents).forEach(function(protocol) {
+        agents[protocol].destroy();
+    });
+};
+
+/**
+ * Constructs a MemoryTransport, which keeps request payloads in memory instead of sending them
+ * anywhere. Useful for testing an application's logging without a Splunk Enterprise or Splunk Cloud server.
+ *
+ * @example
+ * var splunkLogging = require("splunk-logging");
+ *
+ * var transport = new splunkLogging.MemoryTransport();
+ * var logger = new splunkLogging.Logger({token: "any-token", transport: transport});
+ *
+ * logger.send({message: "something"}, function() {
+ *     // transport.events()[0].event.message === "something"
+ * });
+ *
+ * @property {object[]} requests - Every request sent, as <code>{payload: payload, meta: meta}</code> objects.
+ *
+ * @param {object} [options] - Settings for this transport.
+ * @param {function} [options.respond] - Decides the outcome of each request: <code>function(payload, meta)</code>,
+ * returning an object with any of the <code>error</code>, <code>statusCode</code>, <code>headers</code>, and
+ * <code>body</code> properties. Defaults to a successful HTTP Event Collector response.
+ * @implements {Transport}
+ * @constructor
+ */
+var MemoryTransport = function(options) {
+    options = options || {};
+    this.requests = [];
+    this.respond = options.respond || function() {
+        return {
+            statusCode: 200,
+            body: {
+                text: "Success",
+                code: 0
+            }
+        };
+    };
+
+    this.send = utils.bind(this, this.send);
+    this.events = utils.bind(this, this.events);
+    this.clear = utils.bind(this, this.clear);
+    this.close = utils.bind(this, this.close);
+};
+
+/**
+ * Records a payload, then calls back asynchronously with the response from <code>this.respond</code>.
+ *
+ * @param {(string|Buffer|object)} payload - Request body.
+ * @param {object} meta - Request settings.
+ * @param {function} callback - A callback function: <code>function(err, response, body)</code>.
+ */
+MemoryTransport.prototype.send = function(payload, meta, callback) {
+    this.requests.push({
+        payload: payload,
+        meta: meta
+    });
+
+    var result = this.respond(payload, meta) || {};
+    process.nextTick(function() {
+        if (result.error) {
+            callback(result.error);
+        }
+        else {
+            var response = {
+                statusCode: result.statusCode || 200,
+                headers: result.headers || {},
+                body: result.body
+            };
+            callback(null, response, result.body);
+        }
+    });
+};
+
+/**
+ * Gets every event sent so far, decompressed and split out of their batches.
+ * Events sent to the event endpoint are parsed as objects, events sent to
+ * the raw endpoint are strings. Requests without a string or <code>Buffer</code>
+ * payload, such as indexer acknowledgement polls, are skipped.
+ *
+ * @returns {Array}
+ */
+MemoryTransport.prototype.events = function() {
+    var ret = [];
+    this.requests.forEach(function(request) {
+        if (typeof request.payload === "string" || Buffer.isBuffer(request.payload)) {
+            ret = ret.concat(_splitEvents(_decodePayload(request.payload, request.meta)));
+        }
+    });
+    return ret;
+};
+
+/**
+ * Forgets every request sent so far.
+ */
+MemoryTransport.prototype.clear = function() {
+    this.requests = [];
+};
+
+/**
+ * Noop, there is nothing to release.
+ */
+MemoryTransport.prototype.close = function() {};
+
+module.exports = {
+    HttpTransport: HttpTransport,
+    MemoryTransport: MemoryTransport
+};
@@ -20,6 +20,9 @@ var utils = {};
  */
 
 
+var crypto = require("crypto");
+var zlib = require("zlib");
+
 /* Utility Functions */
 
 /**
@@ -159,10 +162,53 @@ utils.whilst = function (condition, body, callback) {
     }
 };
 
+/**
+ * Calculates how long to wait before retrying, using exponential backoff.
+ *
+ * Without <code>jitter</code>, the delay is between 1 and 2 times <code>base * multiplier^attempt</code>.
+ * With <code>full</code> jitter, it's between 0 and 1 times that, and with <code>equal</code> jitter between 0.5 and 1 times that.
+ * With <code>decorrelated</code> jitter, it's between <code>base</code> and <code>previous * multiplier</code>.
+ *
+ * @param {object} opts - Settings for this function.
+ * @param {number} opts.attempt - The retry attempt, starting from 1.
+ * @param {number} [opts.base=10] - Base delay in milliseconds.
+ * @param {number} [opts.max=120000] - Maximum delay in milliseconds.
+ * @param {number} [opts.multiplier=2] - How much the delay grows with each attempt.
+ * @param {string} [opts.jitter] - <code>full</code>, <code>equal</code>, or <code>decorrelated</code>.
+ * @param {number} [opts.previous] - The previous delay, for <code>decorrelated</code> jitter. Defaults to <code>base</code>.
+ * @param {number} [opts.rand] - A random number in [0, 1), defaults to <code>Math.random()</code>.
+ * @returns {number} The delay in milliseconds.
+ * @static
+ */
+utils.backoffDelay = function(opts) {
+    var base = opts.hasOwnProperty("base") ? opts.base : 10;
+    var max = opts.hasOwnProperty("max") ? opts.max : 1000 * 60 * 2; // 2 minutes is a reasonable max delay
+    var multiplier = opts.hasOwnProperty("multiplier") ? opts.multiplier : 2;
+    var rand = opts.hasOwnProperty("rand") ? opts.rand : Math.random();
+
+    var exp = base * Math.pow(multiplier, opts.attempt);
+    var timeout;
+    if (opts.jitter === "full") {
+        timeout = rand * Math.min(exp, max);
+    }
+    else if (opts.jitter === "equal") {
+        timeout = (1 + rand) * Math.min(exp, max) / 2;
+    }
+    else if (opts.jitter === "decorrelated") {
+        var previous = opts.previous || base;
+        timeout = base + rand * (previous * multiplier - base);
+    }
+    else {
+        timeout = (1 + rand) * exp;
+    }
+    return Math.min(Math.round(timeout), max);
+};
+
 /**
  * Waits using exponential backoff.
  *
- * @param {object} [opts] - Settings for this function. Expected keys: attempt, rand.
+ * @param {object} [opts] - Settings for this function. Expected keys: attempt, rand,
+ * and any other settings of [utils.backoffDelay()]{@link utils.backoffDelay}.
  * @param {function} [callback] - A callback function: <code>function(err, timeout)</code>.
  */
 utils.expBackoff = function(opts, callback) {
@@ -174,19 +220,7 @@ utils.expBackoff = function(opts, callback) {
         callback(new Error("Must set opts.attempt."));
     }
     else {
-
-        var min = 10;
-        var max = 1000 * 60 * 2; // 2 minutes is a reasonable max delay
-
-        var rand = Math.random();
-        if (opts.hasOwnProperty("rand")) {
-            rand = opts.rand;
-        }
-        rand++;
-
-        var timeout = Math.round(rand * min * Math.pow(2, opts.attempt));
-
-        timeout = Math.min(timeout, max);
+        var timeout = utils.backoffDelay(opts);
         setTimeout(
             function() {
                 callback(null, timeout);
@@ -196,6 +230,115 @@ utils.expBackoff = function(opts, callback) {
     }
 };
 
+/**
+ * Parses the value of a <code>Retry-After</code> HTTP header, either a number
+ * of seconds or an HTTP date.
+ *
+ * @param {string} [value] - The header value.
+ * @param {number} [now=Date.now()] - The current time in milliseconds, to compare an HTTP date against.
+ * @returns {number|null} How long to wait in milliseconds, or <code>null</code> if <code>value</code> is missing or malformed.
+ * @static
+ */
+utils.parseRetryAfter = function(value, now) {
+    if (typeof value !== "string" && typeof value !== "number") {
+        return null;
+    }
+    value = value.toString().trim();
+
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10) * 1000;
+    }
+
+    // HTTP dates always name the day and month
+    var date = /[a-z]/i.test(value) ? Date.parse(value) : NaN;
+    if (isNaN(date)) {
+        return null;
+    }
+    return Math.max(0, date - (typeof now === "number" ? now : Date.now()));
+};
+
+/**
+ * Generates a random GUID, such as the channel identifier expected by
+ * HTTP Event Collector when indexer acknowledgement is enabled.
+ *
+ * @returns {string} A version 4 GUID, ex: <code>"0b4cfe2d-5b4a-4d6c-9a5d-2d3c1e8f7a60"</code>.
+ * @static
+ */
+utils.guid = function() {
+    var bytes = crypto.randomBytes(16);
+    // Set the version (4) and variant (RFC 4122) bits
+    bytes[6] = (bytes[6] % 16) + 64;
+    bytes[8] = (bytes[8] % 64) + 128;
+
+    var hex = bytes.toString("hex");
+    return [
+        hex.substring(0, 8),
+        hex.substring(8, 12),
+        hex.substring(12, 16),
+        hex.substring(16, 20),
+        hex.substring(20)
+    ].join("-");
+};
+
+/**
+ * Compresses data with <code>gzip</code> or <code>deflate</code>.
+ *
+ * @param {string} [encoding] - <code>gzip</code>, <code>deflate</code>, or a falsey value to skip compression.
+ * @param {(string|Buffer)} data - Data to compress.
+ * @param {function} callback - A callback function: <code>function(err, result)</code>.
+ * The result is <code>data</code> unchanged when <code>encoding</code> is falsey.
+ * @static
+ */
+utils.compress = function(encoding, data, callback) {
+    if (!encoding) {
+        callback(null, data);
+    }
+    else if (encoding === "gzip") {
+        zlib.gzip(data, callback);
+    }
+    else if (encoding === "deflate") {
+        zlib.deflate(data, callback);
+    }
+    else {
+        callback(new Error("Unsupported compression: " + encoding));
+    }
+};
+
+/**
+ * Synchronously compresses data with <code>gzip</code> or <code>deflate</code>.
+ *
+ * @param {string} encoding - <code>gzip</code> or <code>deflate</code>.
+ * @param {(string|Buffer)} data - Data to compress.
+ * @returns {Buffer}
+ * @throws Will throw an error if <code>encoding</code> isn't supported.
+ * @static
+ */
+utils.compressSync = function(encoding, data) {
+    if (encoding === "gzip") {
+        return zlib.gzipSync(data);
+    }
+    else if (encoding === "deflate") {
+        return zlib.deflateSync(data);
+    }
+    throw new Error("Unsupported compression: " + encoding);
+};
+
+/**
+ * Parses a JSON string, without throwing on malformed JSON.
+ *
+ * @param {string} str - A JSON string.
+ * @returns {anything} The parsed value, or <code>str</code> if it isn't valid JSON.
+ * @static
+ */
+utils.parseJSON = function(str) {
+    try {
+        return JSON.parse(str);
+    }
+    catch (err) {
+        return str;
+    }
+};
+
 /**
  * Binds a function to an instance of an object.
  *